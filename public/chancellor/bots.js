@@ -0,0 +1,66 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — strategy bots
+   Named ways of playing the game, so a room can be filled out
+   alongside the humans and a student can practise alone:
+     optimal    the lowest-debt policy for the whole game
+                (chancellor/calibrate.js), knowing every shock
+     myopic     whatever leaves the least debt after this round
+     prudent    the prudent call, every dial left at its midpoint
+     risky      the other call, every dial turned all the way up
+     imitator   follows its desk: the middle of the picks already
+                in, give or take some noise
+   Picks are what a phone would send: a dial value on slider
+   rounds, 0 or 1 on binary rounds.
+   ============================================================ */
+import { optimise } from './calibrate.js';
+
+export const STRATEGIES = {
+  optimal:  {name:"Optimal",  blurb:"plays the whole game's lowest-debt path"},
+  myopic:   {name:"Myopic",   blurb:"minimises debt one round at a time"},
+  prudent:  {name:"Prudent",  blurb:"always the prudent call, dials at the midpoint"},
+  risky:    {name:"Risky",    blurb:"always the bold call, dials turned all the way up"},
+  imitator: {name:"Imitator", blurb:"copies its desk, with a little noise"},
+};
+export const STRATEGY_KEYS = Object.keys(STRATEGIES);
+
+const grid = steps => Array.from({length:steps}, (_,i)=>i/(steps-1));
+const stateCopy = s => ({...s, hist:s.hist.slice()});
+
+/* a bot playing regime k. pick(round, state, peers): state is the bot's
+   own before the round, peers the picks its desk has locked in so far */
+export function createBot(engine, strategy, k, {rng=Math.random}={}){
+  if(!STRATEGIES[strategy]) throw new Error(`unknown bot strategy "${strategy}"`);
+  const slider = round => engine.KIND[round-1]==="slider";
+  let plan = null;
+
+  const pickers = {
+    optimal(round){
+      if(!plan) plan = optimise(engine, k, {steps:11}).picks;
+      return plan[round-1];
+    },
+    myopic(round, state){
+      const after = v => {
+        const s = engine.stepState(stateCopy(state), k, round, engine.deltaFor(k, round, v));
+        return s.b + (s.crisis ? 1e6 : 0);
+      };
+      return (slider(round) ? grid(21) : [0,1]).reduce((a,b)=>after(b)<after(a) ? b : a);
+    },
+    prudent(round){ return slider(round) ? 0.5 : 0; },
+    risky(){ return 1; },
+    imitator(round, state, peers=[]){
+      if(!peers.length) return engine.defaultPick(round);
+      if(!slider(round)){
+        const majority = peers.filter(v=>v===1).length*2 > peers.length ? 1 : 0;
+        return rng()<0.15 ? 1-majority : majority;
+      }
+      const sorted = peers.slice().sort((a,b)=>a-b), mid = sorted[(sorted.length-1)>>1];
+      return Math.max(0, Math.min(1, mid + (rng()*2-1)*0.12));
+    },
+  };
+  return {strategy, reg:k, pick: (round, state, peers) => pickers[strategy](round, state, peers)};
+}
+
+/* when a bot locks in, as a share of the clock: imitators wait to see the room */
+export function lockTime(strategy, rng=Math.random){
+  return strategy==="imitator" ? 0.55 + rng()*0.25 : 0.05 + rng()*0.45;
+}
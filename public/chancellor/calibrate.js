@@ -0,0 +1,153 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — calibration
+   Recomputes what a scenario's calibration block and debrief
+   bases hold, straight from the engine: per regime the policy
+   that ends the game with the lowest debt, the slider range that
+   stays clear of the crisis line, and how both move with KAPPA
+   and the risk-premium coefficient c. chancellor-calibrate.html
+   drives it; applyCalibration writes the results back into a
+   scenario for the host and debrief to load.
+   ============================================================ */
+import { createEngine } from './engine.js';
+
+/* scenario files quote sweet spots to the nearest 0.05 */
+export const PICK_STEP = 0.05;
+export const FACTORS = [0.5, 0.75, 1, 1.25, 1.5];
+
+const roundTo = (v, step) => Math.round(v/step)*step;
+const tidy = v => Math.round(v*1e6)/1e6;
+const grid = steps => Array.from({length:steps}, (_,i)=>i/(steps-1));
+
+/* play a whole game; picks has one entry per round */
+export function playPolicy(engine, k, picks){
+  const s = engine.freshState(k);
+  picks.forEach((pick,i)=>engine.stepState(s, k, i+1, engine.deltaFor(k, i+1, pick)));
+  return s;
+}
+
+/* the leaderboard's order as one number: survivors by final debt, then everyone in crisis */
+const score = s => s.b + (s.crisis ? 1e6 : 0);
+
+/* lowest-debt policy for regime k. Every combination of binary calls is
+   tried; within each, the sliders are tuned by coordinate descent — a
+   scan of `steps` points, then a golden-section polish around the best. */
+export function optimise(engine, k, {steps=21, tol=1e-6, passes=20}={}){
+  const sliders = engine.KIND.map((kind,i)=>kind==="slider" ? i : -1).filter(i=>i>=0);
+  const binaries = engine.KIND.map((kind,i)=>kind==="binary" ? i : -1).filter(i=>i>=0);
+  const G = grid(steps), h = 1/(steps-1);
+  let best = null;
+  for(let mask=0; mask<(1<<binaries.length); mask++){
+    const picks = engine.KIND.map(()=>0.5);
+    binaries.forEach((r,j)=>{ picks[r] = (mask>>j)&1; });
+    const at = (r,v) => { const p=picks.slice(); p[r]=v; return score(playPolicy(engine, k, p)); };
+    for(let pass=0; pass<passes; pass++){
+      let moved = 0;
+      for(const r of sliders){
+        let v = G.reduce((a,b)=>at(r,b)<at(r,a) ? b : a, picks[r]);
+        let lo = Math.max(0,v-h), hi = Math.min(1,v+h);
+        const phi = (Math.sqrt(5)-1)/2;
+        while(hi-lo>tol){
+          const a = hi-phi*(hi-lo), b = lo+phi*(hi-lo);
+          if(at(r,a)<=at(r,b)) hi=b; else lo=a;
+        }
+        v = [v,(lo+hi)/2].reduce((a,b)=>at(r,b)<at(r,a) ? b : a);
+        moved = Math.max(moved, Math.abs(v-picks[r]));
+        picks[r] = v;
+      }
+      if(moved<tol) break;
+    }
+    const s = playPolicy(engine, k, picks);
+    if(!best || score(s)<score(best.state)) best = {picks, state:s};
+  }
+  return {
+    picks: best.picks.map(tidy),
+    rounded: best.picks.map((p,i)=>engine.KIND[i]==="slider" ? tidy(roundTo(p, PICK_STEP)) : p),
+    final: best.state.b, crisis: best.state.crisis, hist: best.state.hist,
+  };
+}
+
+/* holding the other rounds at `picks`, which values of each round keep the path
+   out of crisis. Sliders get the scan and the [lo, hi] span of crisis-free values
+   around the optimum (null if it is not crisis-free); binaries get both calls. */
+export function crisisFree(engine, k, picks, {steps=101}={}){
+  return engine.KIND.map((kind,i)=>{
+    const values = kind==="slider" ? grid(steps) : [0,1];
+    const runs = values.map(v=>{ const p=picks.slice(); p[i]=v; const s=playPolicy(engine, k, p); return {v, final:s.b, crisis:s.crisis}; });
+    if(kind!=="slider") return {round:i+1, kind, runs};
+    let j = runs.reduce((a,r,idx)=>Math.abs(r.v-picks[i])<Math.abs(runs[a].v-picks[i]) ? idx : a, 0);
+    if(runs[j].crisis) return {round:i+1, kind, runs, span:null};
+    let lo=j, hi=j;
+    while(lo>0 && !runs[lo-1].crisis) lo--;
+    while(hi<runs.length-1 && !runs[hi+1].crisis) hi++;
+    return {round:i+1, kind, runs, span:[runs[lo].v, runs[hi].v]};
+  });
+}
+
+/* final debt over two slider rounds at once, the rest held at `picks` —
+   what the calibration page draws as a map of the crisis-free region */
+export function crisisMap(engine, k, picks, ra, rb, {steps=41}={}){
+  const G = grid(steps);
+  return G.map(vb=>G.map(va=>{
+    const p=picks.slice(); p[ra-1]=va; p[rb-1]=vb;
+    const s=playPolicy(engine, k, p);
+    return {final:s.b, crisis:s.crisis};
+  }));
+}
+
+/* a copy of the scenario with KAPPA, or regime k's c, scaled by `factor` */
+export function scaleParam(scenario, param, factor, k){
+  const scn = structuredClone(scenario);
+  if(param==="KAPPA") scn.dials.KAPPA *= factor;
+  else Object.keys(scn.regimes).forEach(key=>{ if(!k || key===k) scn.regimes[key][param] *= factor; });
+  return scn;
+}
+
+/* how regime k's optimum moves as KAPPA or c is scaled, and whether the
+   policy calibrated at the scenario's own values still keeps clear of crisis */
+export function sensitivity(scenario, k, param, {factors=FACTORS, steps=21, calibrated}={}){
+  return factors.map(f=>{
+    const E = createEngine(scaleParam(scenario, param, f, k));
+    const o = optimise(E, k, {steps});
+    const row = {factor:f, value: param==="KAPPA" ? E.KAPPA : E.REG[k][param], picks:o.rounded, final:o.final, crisis:o.crisis};
+    if(calibrated){ const s=playPolicy(E, k, calibrated); row.calibratedFinal=s.b; row.calibratedCrisis=s.crisis; }
+    return row;
+  });
+}
+
+/* everything the calibration page reports for one scenario */
+export function calibrate(scenario, {steps=21}={}){
+  const E = createEngine(scenario);
+  const regimes = {};
+  E.REG_KEYS.forEach(k=>{
+    const opt = optimise(E, k, {steps});
+    regimes[k] = {
+      ...opt,
+      free: crisisFree(E, k, opt.picks),
+      kappa: sensitivity(scenario, k, "KAPPA", {steps, calibrated:opt.rounded}),
+      c: sensitivity(scenario, k, "c", {steps, calibrated:opt.rounded}),
+    };
+  });
+  return {scenario:scenario.id, regimes};
+}
+
+/* the values the host and debrief consume: calibration.opt (one sweet spot
+   per slider round) and each debrief feature's base (the optimum, with the
+   featured round left open) */
+export function exportValues(engine, result){
+  const opt={}, base={};
+  engine.REG_KEYS.forEach(k=>{
+    const r = result.regimes[k].rounded;
+    opt[k] = r.filter((_,i)=>engine.KIND[i]==="slider");
+    const f = engine.scenario.debrief && engine.scenario.debrief.features && engine.scenario.debrief.features[k];
+    if(f) base[k] = r.map((p,i)=>i+1===f.round ? null : p);
+  });
+  return {opt, base};
+}
+
+/* a copy of the scenario carrying freshly calibrated values */
+export function applyCalibration(scenario, values){
+  const scn = structuredClone(scenario);
+  scn.calibration = {...(scn.calibration||{}), opt: values.opt};
+  Object.entries(values.base).forEach(([k,b])=>{ scn.debrief.features[k].base = b; });
+  return scn;
+}
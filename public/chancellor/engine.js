@@ -0,0 +1,111 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — calibrated engine
+   The one copy of the model that the host, the phones and the
+   debrief all run. Everything lesson-specific — regimes, shocks,
+   round kinds, slider mappings, binary options — comes from a
+   scenario file (chancellor/scenario.js); createEngine binds the
+   model to one, and in the stochastic mode to one seed
+   (chancellor/random.js). test/engine.test.js pins the default
+   scenario's trajectories, so a change here shows up as a failing
+   test rather than a desynced projector.
+   ============================================================ */
+import { drawShocks } from './random.js';
+
+/* a decision moves the state by [Δd, i_extra, de, dpi, dg, dcred];
+   scenario files name the components with these keys */
+export const DELTA_KEYS = ["d","i","de","pi","g","cred"];
+
+export function clamp(x,a,b){return Math.max(a,Math.min(b,x));}
+
+/* c0 + c1·v + c2·v² + … — slider mappings are polynomials in the dial value */
+export function poly(coeffs, v){
+  let y=0;
+  for(let j=coeffs.length-1;j>=0;j--) y=y*v+coeffs[j];
+  return y;
+}
+
+/* seed: null plays the scripted shocks; a number draws them (needs scenario.stochastic) */
+export function createEngine(scenario, {seed=null}={}){
+  const REG = scenario.regimes;
+  const REG_KEYS = Object.keys(REG);
+  const ROUNDS = scenario.rounds;
+  const KIND = ROUNDS.map(r=>r.kind);
+  const N = ROUNDS.length;
+  const KAPPA = scenario.dials.KAPPA;
+  /* each regime's interior sweet spot, one value per slider round
+     (recomputed by chancellor/calibrate.js — see chancellor-calibrate.html) */
+  const OPT_SLIDER = (scenario.calibration && scenario.calibration.opt) || {};
+
+  const draws = seed!==null && scenario.stochastic ? drawShocks(scenario, seed) : null;
+
+  /* world shocks by round: growth, inflation and credibility hit the state
+     once and persist through it; the world interest rate stays raised.
+     A draw scales each round's scripted size. */
+  let iw = 0;
+  const WORLD = ROUNDS.map((r,idx)=>{
+    const e = r.shock.effect || {}, m = draws ? draws.scale[idx] : 1;
+    iw += (e.i || 0)*m;
+    return {g:(e.g||0)*m, pi:(e.pi||0)*m, cred:(e.cred||0)*m, i:iw};
+  });
+
+  /* position of a slider round among the slider rounds (indexes OPT_SLIDER) */
+  function sliderIndex(round){ return KIND.slice(0,round-1).filter(k=>k==="slider").length; }
+
+  /* the two calls on a binary round — shared by every regime, or per regime */
+  function options(k, round){
+    const o = ROUNDS[round-1].options;
+    return Array.isArray(o) ? o : o[k];
+  }
+
+  /* what a phone that never locks in is scored with: the dial's midpoint, or the prudent call */
+  function defaultPick(round){ return KIND[round-1]==="slider" ? 0.5 : 0; }
+
+  /* pick is a slider value (0..1) on slider rounds, or a binary index on binary rounds */
+  function deltaFor(k, round, pick){
+    const rd = ROUNDS[round-1];
+    const delta = rd.kind==="slider" ? rd.delta : options(k, round)[pick].delta;
+    return DELTA_KEYS.map(key=>{
+      const v = delta[key];
+      if(v===undefined) return 0;
+      return rd.kind==="slider" ? poly(v, pick) : v;
+    });
+  }
+
+  /* ---- advance one regime-state by one round ---- */
+  function stepState(s, regKey, round, delta){
+    const R = REG[regKey], W = WORLD[round-1];
+    const [dd,iex,de,dpi,dg,dcred] = delta;
+    /* this round's regime-specific surprise, felt once (stochastic mode only) */
+    const z = {d:0, pi:0, g:0};
+    if(draws && draws.on) z[draws.on] = draws.noise[regKey][round-1];
+    s.d  += dd;
+    s.pi += W.pi + dpi;
+    s.g  += W.g + dg;
+    s.cred = clamp(s.cred + W.cred + dcred, 0, 100);
+    const bstarEff = R.bstar + (s.cred-50)*KAPPA;
+    const i = R.ibase + W.i + iex + R.c*Math.pow(Math.max(0,s.b-bstarEff),2);
+    const primary = s.d + z.d;
+    const snow = (i - (s.pi + z.pi) - (s.g + z.g))/100*s.b;
+    const fx = R.f*de/100*s.b;
+    s.b = s.b + primary + snow + fx;
+    if (s.b >= R.bcrisis) s.crisis = true;
+    s.i = i;
+    s.hist.push(s.b);
+    return s;
+  }
+  function freshState(regKey){
+    const R=REG[regKey];
+    return {b:R.b,d:R.d,pi:R.pi,g:R.g,cred:R.cred,i:R.ibase,crisis:false,hist:[R.b]};
+  }
+  function zoneOf(regKey, s){
+    const R=REG[regKey];
+    if(s.b>=R.bcrisis) return "crisis";
+    if(s.b>=R.warn) return "warn";
+    return "ok";
+  }
+
+  return {
+    scenario, seed: draws ? seed : null, draws, REG, REG_KEYS, ROUNDS, KIND, N, KAPPA, OPT_SLIDER, WORLD,
+    sliderIndex, options, defaultPick, deltaFor, stepState, freshState, zoneOf,
+  };
+}
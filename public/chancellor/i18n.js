@@ -0,0 +1,270 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — the phone's words
+   Every string the player client puts on screen, one catalogue
+   per locale, picked with ?lang= (English without it, or for a
+   language we have no catalogue for). The scenario's own copy —
+   shocks, levers, options, the regimes' reasons — is translated
+   in the scenario file's i18n block (chancellor/scenario.js,
+   localiseScenario). A key a locale lacks falls back to English;
+   test/i18n.test.js keeps the catalogues in step.
+   ============================================================ */
+
+/* a value is a string with {placeholders}, or {one, other} chosen by {n} */
+export const LOCALES = {
+  en: {
+    words: ["no","one","two","three","four","five","six","seven","eight","nine","ten"],
+    player: "Player",
+    you: "You",
+    notLoaded: "Scenario not loaded",
+
+    joinTitle: "Join the room",
+    joinLead: "enter the code on the screen and pick a name for the leaderboard.",
+    namePh: "your name",
+    roomCode: "room code",
+    joinBtn: "Join the game",
+    "err.no-room": "no room with that code is open",
+    "err.started": "that game has already started",
+    "err.kicked": "the host has removed you from this room",
+
+    welcomeBack: "Welcome back, {name}",
+    rejoinLead: "rejoining room {room} — your seat and your debt path are kept.",
+    catchingUp: "catching up with the chancellor…",
+    lookingForRoom: "looking for the room…",
+    joinAsNew: "Join as someone new",
+
+    youreIn: "You're in",
+    readyLead: {one:"steer this economy through {w} global shock. Keep your debt off the cliff.",
+      other:"steer this economy through {w} global shocks. Keep your debt off the cliff."},
+    debtStarts: "debt starts {b}% · crisis at {c}%",
+    waitBegin: "waiting for the chancellor to begin…",
+    beginSolo: "Begin the solo game",
+    beginDemo: "Begin (demo)",
+    playBots: "Play against {w} bots",
+
+    roundOf: "round {r} of {n}",
+    afterRound: "after round {r}",
+    finalScore: "final score",
+    meterLabel: "debt-to-GDP",
+    meterNow: "debt {b}%",
+    meterCrisis: "crisis {c}%",
+    "zone.ok": "safe",
+    "zone.warn": "warning zone",
+    "zone.crisis": "in crisis",
+    meterSay: "Debt is {b}% of GDP: {zone}. The crisis line is {c}%.",
+    eqCred: "markets are repricing your {pill}",
+    credibility: "credibility",
+    eqDebt: "debt",
+    sliderLabel: "{head}, from {left} to {right}",
+    yourMove: "Your move",
+    lockIn: "Lock it in",
+    lockedIn: "Locked in",
+    waitBell: "waiting for the chancellor to ring the bell…",
+    secondsLeft: {one:"{n} second left", other:"{n} seconds left"},
+    timeUp: "Time is up — your pick is locked in.",
+    roundSay: "Round {r} of {n}: {shock}. {meter}",
+
+    yourDebt: "your debt so far",
+    graphStart: "start",
+    graphRound: "R{r}",
+    graphSay: "Your debt path: {path}.",
+    roadsHead: "the road not taken · round {r}",
+    sweetSpot: "sweet spot",
+    sameAsYours: "same as yours",
+    pts: "{d} pts",
+    crisisTag: "crisis",
+    lightRed: "Red light — in crisis",
+    lightAmber: "Yellow light — getting close",
+    lightGreen: "Green light — on track",
+    calm: "Markets are calm. Your debt is comfortably clear of the crisis line.",
+    finishGame: "Finish game",
+    nextRound: "Next round",
+    lastShock: "that's the last shock — waiting for the final whistle…",
+    waitRound: "waiting for the chancellor to start round {r}…",
+
+    avoided: "Crisis avoided",
+    debtCrisis: "Debt crisis",
+    finalDebt: "your final debt-to-GDP",
+    pointsClear: {one:"{n} point clear of your {c}% crisis line", other:"{n} points clear of your {c}% crisis line"},
+    crossed: "you crossed your {c}% crisis line",
+    rankNoteWelfare: "On your regime's leaderboard, desks are ranked by welfare — the report card's total, crisis penalty and all.",
+    rankNoteDebt: "On your regime's leaderboard, survivors are ranked by lowest debt — a crisis drops you below everyone still standing.",
+    playAgain: "Play again",
+    onScreen: "your group's leaderboard is on the main screen. Over to the debrief.",
+    reportCard: "welfare report card",
+    "col.debt": "debt", "col.g": "growth", "col.pi": "infl.", "col.cred": "cred.", "col.crisis": "crisis", "col.total": "total",
+    allRounds: "all",
+
+    youTag: "{name} (you)",
+    botName: "{s} bot",
+    "bot.optimal": "Optimal", "bot.myopic": "Myopic", "bot.prudent": "Prudent", "bot.risky": "Risky", "bot.imitator": "Imitator",
+    standings: "standings · {mode}",
+    "mode.welfare": "welfare",
+    "mode.debt": "debt",
+
+    demoBar: "demo · {mode} ·",
+    soloMode: "solo vs bots",
+    singleMode: "single player",
+    seed: "seed {s}",
+    regime: "regime:",
+    liveBar: "live · room {room} · {link}",
+    drawnShocks: "drawn shocks",
+    "link.online": "online",
+    "link.offline": "offline",
+    "link.replaced": "seat taken on another screen",
+    "link.host-left": "host left",
+    contrast: "High contrast",
+
+    "slide.title": "The debrief",
+    "slide.class": "{reg} · your class",
+    "slide.decision": "{reg} · the decision",
+    "slide.fork": "{reg} · the fork",
+    "slide.summary": "Summary",
+    slideOf: "slide {s} of {n}",
+    followScreen: "follow along on the main screen.",
+    forkSay: "The fork: {a} ends at {fa}%, {b} at {fb}%.{you}",
+    forkYou: " Your own game ended at {b}%.",
+    youLabel: "you",
+    pollQ: "Which path would you take now?",
+    voted: "counted — tap the other path to change your mind.",
+  },
+
+  fr: {
+    words: ["aucun","un","deux","trois","quatre","cinq","six","sept","huit","neuf","dix"],
+    player: "Joueur",
+    you: "Vous",
+    notLoaded: "Scénario introuvable",
+
+    joinTitle: "Rejoindre la salle",
+    joinLead: "saisissez le code affiché à l'écran et choisissez un nom pour le classement.",
+    namePh: "votre nom",
+    roomCode: "code de la salle",
+    joinBtn: "Rejoindre la partie",
+    "err.no-room": "aucune salle ouverte avec ce code",
+    "err.started": "cette partie a déjà commencé",
+    "err.kicked": "l'animateur vous a retiré de cette salle",
+
+    welcomeBack: "Bon retour, {name}",
+    rejoinLead: "retour dans la salle {room} — votre place et votre trajectoire de dette sont conservées.",
+    catchingUp: "on rattrape le ministre…",
+    lookingForRoom: "recherche de la salle…",
+    joinAsNew: "Rejoindre sous un autre nom",
+
+    youreIn: "C'est parti",
+    readyLead: {one:"pilotez cette économie à travers {w} choc mondial. Gardez votre dette loin du précipice.",
+      other:"pilotez cette économie à travers {w} chocs mondiaux. Gardez votre dette loin du précipice."},
+    debtStarts: "dette initiale {b} % · crise à {c} %",
+    waitBegin: "en attente du lancement par le ministre…",
+    beginSolo: "Lancer la partie en solo",
+    beginDemo: "Lancer (démo)",
+    playBots: "Jouer contre {w} robots",
+
+    roundOf: "manche {r} sur {n}",
+    afterRound: "après la manche {r}",
+    finalScore: "score final",
+    meterLabel: "dette en % du PIB",
+    meterNow: "dette {b} %",
+    meterCrisis: "crise {c} %",
+    "zone.ok": "zone sûre",
+    "zone.warn": "zone d'alerte",
+    "zone.crisis": "en crise",
+    meterSay: "La dette atteint {b} % du PIB : {zone}. La ligne de crise est à {c} %.",
+    eqCred: "les marchés réévaluent votre {pill}",
+    credibility: "crédibilité",
+    eqDebt: "dette",
+    sliderLabel: "{head}, de « {left} » à « {right} »",
+    yourMove: "À vous de jouer",
+    lockIn: "Valider",
+    lockedIn: "Choix validé",
+    waitBell: "en attente de la cloche du ministre…",
+    secondsLeft: {one:"plus que {n} seconde", other:"plus que {n} secondes"},
+    timeUp: "Temps écoulé — votre choix est validé.",
+    roundSay: "Manche {r} sur {n} : {shock}. {meter}",
+
+    yourDebt: "votre dette jusqu'ici",
+    graphStart: "départ",
+    graphRound: "M{r}",
+    graphSay: "Trajectoire de votre dette : {path}.",
+    roadsHead: "la voie non prise · manche {r}",
+    sweetSpot: "point optimal",
+    sameAsYours: "comme vous",
+    pts: "{d} pts",
+    crisisTag: "crise",
+    lightRed: "Feu rouge — en crise",
+    lightAmber: "Feu orange — ça se rapproche",
+    lightGreen: "Feu vert — sur la bonne voie",
+    calm: "Les marchés sont calmes. Votre dette reste bien en deçà de la ligne de crise.",
+    finishGame: "Terminer la partie",
+    nextRound: "Manche suivante",
+    lastShock: "c'était le dernier choc — en attente du coup de sifflet final…",
+    waitRound: "en attente du lancement de la manche {r} par le ministre…",
+
+    avoided: "Crise évitée",
+    debtCrisis: "Crise de la dette",
+    finalDebt: "votre dette finale en % du PIB",
+    pointsClear: {one:"{n} point sous votre ligne de crise de {c} %", other:"{n} points sous votre ligne de crise de {c} %"},
+    crossed: "vous avez franchi votre ligne de crise de {c} %",
+    rankNoteWelfare: "Au classement de votre régime, les pupitres sont classés par bien-être — le total du bulletin, pénalité de crise comprise.",
+    rankNoteDebt: "Au classement de votre régime, les survivants sont classés par dette la plus basse — une crise vous fait passer derrière tous ceux qui tiennent encore.",
+    playAgain: "Rejouer",
+    onScreen: "le classement de votre groupe est sur l'écran principal. Place au débriefing.",
+    reportCard: "bulletin de bien-être",
+    "col.debt": "dette", "col.g": "croiss.", "col.pi": "infl.", "col.cred": "créd.", "col.crisis": "crise", "col.total": "total",
+    allRounds: "tout",
+
+    youTag: "{name} (vous)",
+    botName: "robot {s}",
+    "bot.optimal": "optimal", "bot.myopic": "myope", "bot.prudent": "prudent", "bot.risky": "audacieux", "bot.imitator": "imitateur",
+    standings: "classement · {mode}",
+    "mode.welfare": "bien-être",
+    "mode.debt": "dette",
+
+    demoBar: "démo · {mode} ·",
+    soloMode: "solo contre robots",
+    singleMode: "un joueur",
+    seed: "graine {s}",
+    regime: "régime :",
+    liveBar: "en direct · salle {room} · {link}",
+    drawnShocks: "chocs tirés au sort",
+    "link.online": "connecté",
+    "link.offline": "hors ligne",
+    "link.replaced": "place reprise sur un autre écran",
+    "link.host-left": "l'animateur est parti",
+    contrast: "Contraste élevé",
+
+    "slide.title": "Le débriefing",
+    "slide.class": "{reg} · votre classe",
+    "slide.decision": "{reg} · la décision",
+    "slide.fork": "{reg} · la bifurcation",
+    "slide.summary": "Synthèse",
+    slideOf: "diapositive {s} sur {n}",
+    followScreen: "suivez sur l'écran principal.",
+    forkSay: "La bifurcation : {a} finit à {fa} %, {b} à {fb} %.{you}",
+    forkYou: " Votre propre partie a fini à {b} %.",
+    youLabel: "vous",
+    pollQ: "Quelle voie prendriez-vous maintenant ?",
+    voted: "vote compté — touchez l'autre voie pour changer d'avis.",
+  },
+};
+
+export const LANGS = Object.keys(LOCALES);
+
+/* "fr-CA" plays in French; anything we have no catalogue for, in English */
+export function localeFor(tag){
+  const lang = String(tag || "").toLowerCase().split(/[-_]/)[0];
+  return LOCALES[lang] ? lang : "en";
+}
+
+/* t(key, vars): the string for key in lang, placeholders filled.
+   t.lang is the locale in play; t.spell(n) says a small count in words. */
+export function translator(tag){
+  const lang = localeFor(tag), cat = LOCALES[lang], plural = new Intl.PluralRules(lang);
+  const t = (key, vars={}) => {
+    let s = cat[key] ?? LOCALES.en[key];
+    if(s===undefined) return key;
+    if(typeof s==="object") s = s[plural.select(vars.n ?? 0)] ?? s.other;
+    return s.replace(/\{(\w+)\}/g, (m,k)=> vars[k]===undefined ? m : String(vars[k]));
+  };
+  t.lang = lang;
+  t.spell = n => cat.words[n] || String(n);
+  return t;
+}
@@ -0,0 +1,61 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — live pick distribution
+   While a round is open the projector can show where each desk's
+   locked-in picks are landing — herd behaviour, visible before the
+   bell. The class view shows the spread alone: a histogram of the
+   dial, or the split between the two calls. The teacher view adds
+   the calibrated sweet spot (chancellor/summary.js): on a dial the
+   median pick and how many sit within NEAR of it, on a binary
+   round the share already on the prudent call.
+   ============================================================ */
+import { histogram } from './summary.js';
+
+export const VIEWS = ["off","class","teacher"];
+export const BINS = 10;
+export const NEAR = 0.1;
+
+/* off → class → teacher → off */
+export function nextView(view){ return VIEWS[(VIEWS.indexOf(view)+1) % VIEWS.length]; }
+
+export function median(values){
+  if(!values.length) return null;
+  const s = values.slice().sort((a,b)=>a-b), m = s.length>>1;
+  return s.length % 2 ? s[m] : (s[m-1] + s[m]) / 2;
+}
+
+/* the picks desk k has locked in for this round */
+export function deskPicks(players, k, round){
+  return players.filter(p=>p.reg===k && p.submitted && p.picks[round-1]!==undefined).map(p=>p.picks[round-1]);
+}
+
+/* one desk's picks for the round:
+     {reg, kind, locked, seated, bins}              on a dial
+     {reg, kind, locked, seated, counts:[a, b]}     on a binary round
+   and in the teacher view {opt, median, near} or {prudentShare},
+   once anyone has locked in (opt is null where the scenario has
+   no calibration for the desk) */
+export function deskDistribution(engine, players, k, round, view="class"){
+  const picks = deskPicks(players, k, round);
+  const kind = engine.ROUNDS[round-1].kind;
+  const out = {reg:k, kind, locked:picks.length, seated:players.filter(p=>p.reg===k).length};
+  const teacher = view==="teacher";
+  if(kind==="slider"){
+    out.bins = histogram(picks, BINS);
+    if(teacher){
+      const opt = engine.OPT_SLIDER[k] ? engine.OPT_SLIDER[k][engine.sliderIndex(round)] : undefined;
+      out.opt = opt ?? null;
+      if(out.opt!==null && picks.length){
+        out.median = median(picks);
+        out.near = picks.filter(v=>Math.abs(v-out.opt) <= NEAR + 1e-9).length;
+      }
+    }
+  }else{
+    out.counts = [0,1].map(j=>picks.filter(v=>v===j).length);
+    if(teacher && picks.length) out.prudentShare = out.counts[0] / picks.length;
+  }
+  return out;
+}
+
+export function liveDistribution(engine, players, round, view="class"){
+  return engine.REG_KEYS.map(k=>deskDistribution(engine, players, k, round, view));
+}
@@ -0,0 +1,58 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — lobby moderation
+   The host's tools for a roster that is about to go up on the
+   projector: a blocklist for names (a short default list plus
+   whatever the lecturer adds, kept in localStorage by the host),
+   and the moves that even the desks out before round 1.
+   Duplicate names get a number, by the same rule here and in
+   the room server (server/room-server.js).
+   ============================================================ */
+
+/* matched anywhere in a name once it is lower-cased and de-leeted;
+   words of three letters or fewer only as a whole word */
+export const BLOCKLIST = ["fuck","shit","cunt","bitch","wank","twat","bollock","bastard","slut","whore",
+  "nigg","retard","nazi","hitler","porn","penis","vagina","fag","sex","ass","tit"];
+
+const LEET = {"0":"o","1":"i","3":"e","4":"a","5":"s","7":"t","@":"a","$":"s","!":"i"};
+
+export function normaliseName(name){
+  return String(name).toLowerCase().replace(/[013457@$!]/g, c=>LEET[c]).replace(/[^a-z\s]/g, "");
+}
+
+/* the blocked word a name contains, or null */
+export function blockedWord(name, list=BLOCKLIST){
+  const flat = normaliseName(name), words = flat.split(/\s+/), joined = flat.replace(/\s+/g, "");
+  return list.map(w=>normaliseName(w).replace(/\s+/g, "")).filter(Boolean)
+    .find(w=> w.length<=3 ? words.includes(w) : joined.includes(w)) || null;
+}
+
+/* a blocklist as the host types it: words separated by commas, spaces or new lines */
+export function parseBlocklist(text){
+  return [...new Set(String(text||"").split(/[\s,]+/).map(w=>w.trim().toLowerCase()).filter(Boolean))];
+}
+
+/* a second "Sam" becomes "Sam 2"; the room server applies this on every join */
+export function uniqueName(name, taken, max=14){
+  const names = new Set(taken);
+  if(!names.has(name)) return name;
+  for(let n=2; ; n++){
+    const tag = ` ${n}`, candidate = name.slice(0, max-tag.length) + tag;
+    if(!names.has(candidate)) return candidate;
+  }
+}
+
+/* moves ({id, reg}) that leave every desk within one player of the others.
+   players are in join order; the latest arrivals on the fullest desk move first. */
+export function balanceMoves(players, regKeys){
+  const desks = Object.fromEntries(regKeys.map(k=>[k, players.filter(p=>p.reg===k).map(p=>p.id)]));
+  const moves = [];
+  for(;;){
+    const byCount = regKeys.slice().sort((a,b)=>desks[a].length-desks[b].length);
+    const low = byCount[0], high = byCount[byCount.length-1];
+    if(desks[high].length - desks[low].length <= 1) return moves;
+    const id = desks[high].pop();
+    desks[low].push(id);
+    const prior = moves.find(m=>m.id===id);
+    if(prior) prior.reg = low; else moves.push({id, reg:low});
+  }
+}
@@ -0,0 +1,37 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — Monte Carlo paths
+   Plays one fixed policy through many seeded draws of the
+   stochastic mode (chancellor/random.js) and summarises the
+   spread: percentile bands of the debt path round by round and
+   the share of runs that hit the crisis line. The debrief draws
+   these as fan charts behind each fork.
+   ============================================================ */
+import { createEngine } from './engine.js';
+import { childSeed } from './random.js';
+
+/* the bands a fan chart shades: 5–95 and 25–75, with the median */
+export const FAN = [0.05, 0.25, 0.5, 0.75, 0.95];
+
+/* linear-interpolated quantile of an ascending array */
+export function quantile(sorted, q){
+  const pos = (sorted.length-1)*q, lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi]-sorted[lo])*(pos-lo);
+}
+
+/* picks: one per round. Returns bands[r] = the FAN quantiles of debt after r rounds */
+export function monteCarlo(scenario, k, picks, {runs=400, seed=1}={}){
+  const paths = [];
+  let crises = 0;
+  for(let j=0; j<runs; j++){
+    const E = createEngine(scenario, {seed: childSeed(seed, j)});
+    const s = E.freshState(k);
+    picks.forEach((pick,i)=>E.stepState(s, k, i+1, E.deltaFor(k, i+1, pick)));
+    paths.push(s.hist);
+    if(s.crisis) crises++;
+  }
+  const bands = paths[0].map((_,r)=>{
+    const col = paths.map(h=>h[r]).sort((a,b)=>a-b);
+    return FAN.map(q=>quantile(col, q));
+  });
+  return {runs, bands, pCrisis: crises/runs};
+}
@@ -0,0 +1,53 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — seeded shocks
+   The stochastic mode's randomness. A room plays one seed: the
+   host picks it, every phone is sent it, and each device draws
+   the same shock sizes and regime noise from it — so nobody's
+   screen can disagree with the projector. A scenario switches
+   the mode on with a `stochastic` block:
+     shocks  one spec (or one per round) for the multiplier on
+             each round's scripted shock size
+     noise   a per-regime, per-round surprise: {on: "g"|"pi"|"d", ...spec}
+   where a spec is {dist:"normal", mean, sd} or {dist:"uniform", min, max}.
+   ============================================================ */
+
+/* mulberry32: small, fast, and identical on every JS engine */
+export function mulberry32(seed){
+  let a = seed >>> 0;
+  return function(){
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function newSeed(){ return (Math.random()*0x7fffffff) >>> 0; }
+
+/* the j-th of a family of seeds derived from one (Monte Carlo runs) */
+export function childSeed(seed, j){ return (Math.imul(seed ^ 0x5bd1e995, 2654435761) + Math.imul(j+1, 0x9E3779B9)) >>> 0; }
+
+export function sample(rng, spec){
+  if(spec.dist==="uniform") return spec.min + (spec.max-spec.min)*rng();
+  /* normal, by Box–Muller */
+  const u = 1 - rng(), v = rng();
+  return (spec.mean || 0) + (spec.sd || 0)*Math.sqrt(-2*Math.log(u))*Math.cos(2*Math.PI*v);
+}
+
+/* one room's draw: a size multiplier per round (scale[r]) and a noise term
+   per regime per round (noise[k][r]). Draw order is fixed — rounds first,
+   then regimes in scenario order — so the same seed gives the same game. */
+export function drawShocks(scenario, seed){
+  const st = scenario.stochastic, rng = mulberry32(seed);
+  const n = scenario.rounds.length;
+  const scale = Array.from({length:n}, (_,r)=>{
+    const spec = Array.isArray(st.shocks) ? st.shocks[r] : st.shocks;
+    return spec ? Math.max(0, sample(rng, spec)) : 1;
+  });
+  const noise = {};
+  Object.keys(scenario.regimes).forEach(k=>{
+    noise[k] = Array.from({length:n}, ()=> st.noise ? sample(rng, st.noise) : 0);
+  });
+  return {seed, scale, noise, on: st.noise ? st.noise.on : null};
+}
@@ -0,0 +1,111 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — results export
+   What a class takes away once the bell has rung for the last
+   time: every player's regime, picks, debt path, final debt,
+   crisis round, welfare score and rank, read from the session
+   log (chancellor/session.js). The host downloads it as CSV or
+   opens a printable one-page summary; both are built here, in
+   the browser, with nothing sent anywhere.
+   ============================================================ */
+import { playersAt } from './session.js';
+import { welfareScore, rankPlayers } from './welfare.js';
+
+/* one row per player, in leaderboard order within each regime */
+export function classResults(log, engine, rank="debt"){
+  const n = log.rounds.length;
+  const players = playersAt(log, n).map(p=>{
+    const R = log.regimes[p.reg];
+    const cross = p.state.hist.findIndex(b=>b>=R.bcrisis);
+    return {
+      name:p.name, reg:p.reg, picks:p.picks, hist:p.state.hist, state:p.state,
+      final:p.state.b, crisis:p.state.crisis, crisisRound: cross>0 ? cross : null,
+      welfare: engine.REG[p.reg] ? welfareScore(engine, p.reg, p.picks) : null,
+    };
+  });
+  return Object.keys(log.regimes).flatMap(k=>
+    rankPlayers(players.filter(p=>p.reg===k), rank, p=>p.welfare).map((p,i)=>({...p, rank:i+1})));
+}
+
+/* a typed name starting =, +, - or @ would run as a formula in a spreadsheet;
+   the leading ' keeps it text. numbers (a negative welfare) pass untouched */
+const csvCell = v => {
+  let s = v===null || v===undefined ? "" : String(v);
+  if(typeof v==="string" && /^[=+\-@]/.test(s)) s = "'"+s;
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
+};
+const num = (v, dp) => v===null || v===undefined ? "" : Number(v.toFixed(dp));
+
+export function resultsCSV(results, log){
+  const n = log.rounds.length;
+  const head = ["room","scenario","regime","rank","name","final_debt","crisis_round","welfare",
+    ...Array.from({length:n}, (_,i)=>`pick_r${i+1}`), ...Array.from({length:n+1}, (_,i)=>`debt_r${i}`)];
+  const rows = results.map(p=>[
+    log.room, log.scenario, p.reg, p.rank, p.name, num(p.final,2), p.crisisRound ?? "", num(p.welfare,2),
+    ...p.picks.map(v=>num(v,4)), ...p.hist.map(v=>num(v,2)),
+  ]);
+  return [head, ...rows].map(r=>r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+const esc = s => String(s).replace(/[&<>"]/g, c=>({"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;"}[c]));
+
+/* scenarios colour regimes from the pages' palette (var(--teal)); the summary
+   carries no stylesheet of theirs, so it gets the values themselves */
+const PALETTE = {teal:"#3FB89A", blue:"#6E9BE0", amber:"#E8A33D", red:"#E0584F", gold:"#D9A441", slate:"#90A2BC"};
+const paint = c => esc(String(c).replace(/var\(--([\w-]+)\)/g, (_,k)=>PALETTE[k] ?? "#666"));
+
+/* a regime's paths, faint, under the class average — the host's sparkline, for paper */
+function sparkSvg(paths, R, W=260, H=44){
+  const pad = 3, len = paths[0].length;
+  const avg = Array.from({length:len}, (_,r)=>paths.reduce((a,h)=>a+h[r], 0)/paths.length);
+  const all = paths.flat();
+  const lo = Math.min(...all, R.b)*0.96, hi = Math.max(...all, R.bcrisis*1.02);
+  const x = i => len<2 ? W/2 : pad + i/(len-1)*(W-2*pad);
+  const y = v => H-pad - (v-lo)/(hi-lo)*(H-2*pad);
+  const line = h => h.map((v,i)=>`${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(" ");
+  const cy = y(R.bcrisis).toFixed(1), color = paint(R.color);
+  return `<svg viewBox="0 0 ${W} ${H}" width="${W}" height="${H}">
+    <line x1="0" y1="${cy}" x2="${W}" y2="${cy}" stroke="#c0392b" stroke-width="1" stroke-dasharray="3 3"/>
+    ${paths.map(h=>`<polyline points="${line(h)}" fill="none" stroke="${color}" stroke-width="1" opacity="0.3"/>`).join("")}
+    <polyline points="${line(avg)}" fill="none" stroke="${color}" stroke-width="2.4"/>
+  </svg>`;
+}
+
+/* a self-contained page, laid out for one sheet of A4 */
+export function summaryHtml(results, log, rank="debt"){
+  const n = log.rounds.length, day = new Date(log.startedAt);
+  const regimes = Object.keys(log.regimes).map(k=>{
+    const R = log.regimes[k], ps = results.filter(p=>p.reg===k);
+    if(!ps.length) return "";
+    const crises = ps.filter(p=>p.crisis).length;
+    const rows = ps.map(p=>`<tr class="${p.crisis?"crisis":""}"><td>${p.rank}</td><td class="nm">${esc(p.name)}</td>
+      ${p.picks.map(v=>`<td>${Number.isInteger(v) ? v : v.toFixed(2)}</td>`).join("")}
+      <td>${Math.round(p.final)}%</td><td>${p.crisisRound ?? ""}</td><td>${p.welfare===null ? "" : p.welfare.toFixed(1)}</td></tr>`).join("");
+    return `<section><header><span class="sw" style="background:${paint(R.color)}"></span><b>${esc(R.name)}</b> · ${esc(R.tag)}
+        <span class="meta">${ps.length} player${ps.length===1?"":"s"} · ${crises} in crisis · crisis line ${R.bcrisis}%</span></header>
+      ${sparkSvg(ps.map(p=>p.hist), R)}
+      <table><tr><th>#</th><th class="nm">name</th>${Array.from({length:n}, (_,i)=>`<th>R${i+1}</th>`).join("")}
+        <th>debt</th><th>crisis</th><th>welfare</th></tr>${rows}</table></section>`;
+  }).join("");
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"/>
+<title>Chancellor's Game · room ${esc(log.room)} · ${day.toISOString().slice(0,10)}</title>
+<style>
+@page{size:A4;margin:12mm}
+body{font:11px/1.4 Georgia,serif;color:#111;margin:0 auto;max-width:190mm;padding:8mm 0}
+h1{font-size:18px;margin:0} .sub{color:#555;margin:2px 0 10px}
+.grid{display:grid;grid-template-columns:1fr 1fr;gap:8px 14px}
+section{break-inside:avoid;border-top:1px solid #999;padding-top:4px}
+header{margin-bottom:2px} .sw{display:inline-block;width:9px;height:9px;border-radius:2px;margin-right:4px}
+.meta{color:#666;font-size:10px;margin-left:4px}
+table{border-collapse:collapse;width:100%;font:10px/1.3 ui-monospace,monospace}
+th,td{padding:1px 3px;text-align:right;border-bottom:1px solid #eee} th{color:#666;font-weight:normal}
+.nm{text-align:left} tr.crisis td{color:#c0392b}
+button{margin:10px 0;font:12px sans-serif;padding:6px 12px}
+@media print{button{display:none}}
+</style></head><body>
+<h1>The Chancellor's Game — class summary</h1>
+<div class="sub">room ${esc(log.room)} · ${esc(day.toLocaleString())} · scenario ${esc(log.scenario)}${log.seed!==null && log.seed!==undefined ? ` · seed ${log.seed}` : ""}
+ · ${results.length} players · ${n} round${n===1?"":"s"} · ranked by ${rank==="welfare" ? "welfare" : "final debt, survivors first"}</div>
+<button onclick="print()">Print</button>
+<div class="grid">${regimes}</div>
+</body></html>`;
+}
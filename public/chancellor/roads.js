@@ -0,0 +1,49 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — the road not taken
+   What a player's last decision was worth, shown on the phone
+   the moment the bell rings: the same game replayed up to that
+   round, then the alternatives to the pick they made — the other
+   call on a binary round; on a slider the two ends of the dial
+   and the calibrated sweet spot. The debrief's forks do the same
+   for one featured round per regime, over the whole game
+   (featureFork) — on the projector, and on the phones that follow it.
+   ============================================================ */
+import { playPolicy } from './calibrate.js';
+
+/* a slider alternative this close to the pick made is the pick made */
+const SAME = 0.03;
+
+/* picks: the player's picks so far, the last being the round in question */
+export function roadsNotTaken(engine, k, picks, round=picks.length){
+  const rd = engine.ROUNDS[round-1], made = picks[round-1];
+  let alts;
+  if(rd.kind==="binary"){
+    const o = engine.options(k, round);
+    alts = [{label:o[1-made].title, pick:1-made}];
+  } else {
+    const opt = engine.OPT_SLIDER[k] ? engine.OPT_SLIDER[k][engine.sliderIndex(round)] : null;
+    alts = [{label:rd.slider.left, pick:0}, {label:rd.slider.right, pick:1}];
+    if(opt!==null) alts = [...alts.filter(a=>Math.abs(a.pick-opt)>=SAME), {label:"sweet spot", pick:opt, sweet:true}];
+    alts = alts.filter(a=>Math.abs(a.pick-made)>=SAME);
+  }
+  const played = picks.slice(0, round-1);
+  return alts.map(a=>{
+    const s = playPolicy(engine, k, [...played, a.pick]);
+    return {...a, hist:s.hist, final:s.b, crisis:s.crisis};
+  });
+}
+
+/* a debrief fork (scenario debrief.features): the regime's featured round
+   played with override, every other round with the feature's base picks.
+   crossRound is the round the debt first reached the crisis line, or -1. */
+export function featureFork(engine, k, override){
+  const c = engine.scenario.debrief.features[k], R = engine.REG[k];
+  const s = engine.freshState(k);
+  let crossRound = -1;
+  for(let r=1; r<=engine.N; r++){
+    const pick = r===c.round ? override : c.base[r-1], before = s.b;
+    engine.stepState(s, k, r, engine.deltaFor(k, r, pick));
+    if(crossRound<0 && before<R.bcrisis && s.b>=R.bcrisis) crossRound = r;
+  }
+  return {tr:s.hist, final:s.b, crisis:s.crisis, crossRound};
+}
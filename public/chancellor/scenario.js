@@ -0,0 +1,228 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — scenario files
+   A scenario is a JSON file in chancellor/scenarios/ holding
+   everything lesson-specific: the regimes, one entry per round
+   (its shock, whether it is a slider or a binary call, and how
+   each choice moves the state), the calibrated sweet spots, and
+   the debrief's story. Host, phones and debrief pick one with
+   ?scenario=<name>, and the file's id must be that name (the logs
+   and the room server go by the id); without it they play
+   scenarios/default.json, the game as it has always been. Its
+   copy may come in other languages too: an i18n block keyed by
+   locale that mirrors the scenario's shape and replaces only its
+   strings (localiseScenario).
+   ============================================================ */
+import { DELTA_KEYS, createEngine } from './engine.js';
+
+const REGIME_NUMBERS = ["b","d","ibase","pi","g","bstar","bcrisis","warn","c","f","cred"];
+const SHOCK_EFFECTS = ["g","i","pi","cred"];
+const WELFARE_WEIGHTS = ["debt","g","pi","cred"];
+
+const isNum = v => typeof v==="number" && Number.isFinite(v);
+const isStr = v => typeof v==="string" && v.length>0;
+const isObj = v => !!v && typeof v==="object" && !Array.isArray(v);
+
+/* check a parsed scenario; throws one Error listing every problem found */
+export function validateScenario(scn){
+  const errs = [];
+  const need = (ok, msg) => { if(!ok) errs.push(msg); return ok; };
+  if(!need(isObj(scn), "not a scenario object")) throw new Error(errs[0]);
+
+  need(isStr(scn.id), "id must be a non-empty string");
+  need(isStr(scn.title), "title must be a non-empty string");
+  need(isObj(scn.dials) && isNum(scn.dials.KAPPA), "dials.KAPPA must be a number");
+
+  const regKeys = isObj(scn.regimes) ? Object.keys(scn.regimes) : [];
+  need(regKeys.length>0, "regimes must name at least one regime");
+  regKeys.forEach(k=>{
+    const R = scn.regimes[k], at = `regimes.${k}`;
+    if(!need(isObj(R), `${at} must be an object`)) return;
+    ["name","tag","color"].forEach(f=>need(isStr(R[f]), `${at}.${f} must be a non-empty string`));
+    const nums = REGIME_NUMBERS.every(f=>need(isNum(R[f]), `${at}.${f} must be a number`));
+    if(nums){
+      need(R.b < R.warn && R.warn < R.bcrisis, `${at}: need b < warn < bcrisis`);
+      need(R.cred>=0 && R.cred<=100, `${at}.cred must lie in 0..100`);
+    }
+    need(isObj(R.reason) && ["head","warn","crisis"].every(f=>isStr(R.reason[f])), `${at}.reason needs head, warn and crisis`);
+  });
+
+  /* a delta names components of [d, i, de, pi, g, cred]: numbers on a
+     binary option, polynomial coefficients in the dial value on a slider */
+  const checkDelta = (delta, at, poly) => {
+    if(!need(isObj(delta), `${at} must be an object`)) return;
+    Object.entries(delta).forEach(([key,v])=>{
+      need(DELTA_KEYS.includes(key), `${at}.${key} is not one of ${DELTA_KEYS.join(", ")}`);
+      need(poly ? Array.isArray(v) && v.length>0 && v.every(isNum) : isNum(v),
+        `${at}.${key} must be ${poly ? "an array of coefficients" : "a number"}`);
+    });
+  };
+  const checkOptions = (opts, at) => {
+    if(!need(Array.isArray(opts) && opts.length===2, `${at} must hold exactly two options`)) return;
+    opts.forEach((o,j)=>{
+      if(!need(isObj(o), `${at}[${j}] must be an object`)) return;
+      ["label","title"].forEach(f=>need(isStr(o[f]), `${at}[${j}].${f} must be a non-empty string`));
+      checkDelta(o.delta, `${at}[${j}].delta`, false);
+    });
+  };
+
+  const rounds = Array.isArray(scn.rounds) ? scn.rounds : [];
+  need(rounds.length>0, "rounds must hold at least one round");
+  rounds.forEach((rd,i)=>{
+    const at = `rounds[${i}]`;
+    if(!need(isObj(rd), `${at} must be an object`)) return;
+    const sh = rd.shock;
+    if(need(isObj(sh), `${at}.shock must be an object`)){
+      ["name","hits"].forEach(f=>need(isStr(sh[f]), `${at}.shock.${f} must be a non-empty string`));
+      if(need(isObj(sh.effect), `${at}.shock.effect must be an object`)){
+        Object.entries(sh.effect).forEach(([key,v])=>
+          need(SHOCK_EFFECTS.includes(key) && isNum(v), `${at}.shock.effect.${key}: effects are numbers on ${SHOCK_EFFECTS.join(", ")}`));
+      }
+    }
+    if(rd.kind==="slider"){
+      const s = rd.slider;
+      if(need(isObj(s), `${at}.slider must be an object`)){
+        ["head","left","right"].forEach(f=>need(isStr(s[f]), `${at}.slider.${f} must be a non-empty string`));
+        need(Array.isArray(s.scale), `${at}.slider.scale must be an array`);
+        const ro = s.readout;
+        need(isObj(ro) && Array.isArray(ro.value) && ro.value.length===2 && ro.value.every(isNum)
+          && isObj(ro.neutral) && isObj(ro.up), `${at}.slider.readout needs value [a, b], neutral and up`);
+      }
+      checkDelta(rd.delta, `${at}.delta`, true);
+    } else if(rd.kind==="binary"){
+      if(Array.isArray(rd.options)) checkOptions(rd.options, `${at}.options`);
+      else if(need(isObj(rd.options), `${at}.options must be an array or an object keyed by regime`)){
+        regKeys.forEach(k=>checkOptions(rd.options[k], `${at}.options.${k}`));
+      }
+    } else {
+      errs.push(`${at}.kind must be "slider" or "binary"`);
+    }
+  });
+
+  const opt = scn.calibration && scn.calibration.opt;
+  if(opt!==undefined){
+    const sliders = rounds.filter(rd=>rd && rd.kind==="slider").length;
+    regKeys.forEach(k=>need(Array.isArray(opt[k]) && opt[k].length===sliders && opt[k].every(v=>isNum(v) && v>=0 && v<=1),
+      `calibration.opt.${k} must give one value in 0..1 per slider round (${sliders})`));
+  }
+
+  /* optional stochastic mode (chancellor/random.js) */
+  const st = scn.stochastic;
+  if(st!==undefined && need(isObj(st), "stochastic must be an object")){
+    const checkSpec = (spec, at) => {
+      if(!need(isObj(spec), `${at} must be a distribution`)) return;
+      if(spec.dist==="uniform") need(isNum(spec.min) && isNum(spec.max) && spec.min<=spec.max, `${at}: uniform needs min <= max`);
+      else if(spec.dist==="normal") need((spec.mean===undefined || isNum(spec.mean)) && isNum(spec.sd) && spec.sd>=0, `${at}: normal needs a non-negative sd`);
+      else errs.push(`${at}.dist must be "normal" or "uniform"`);
+    };
+    if(Array.isArray(st.shocks)){
+      need(st.shocks.length===rounds.length, `stochastic.shocks must give one distribution per round (${rounds.length})`);
+      st.shocks.forEach((spec,i)=>checkSpec(spec, `stochastic.shocks[${i}]`));
+    } else if(st.shocks!==undefined) checkSpec(st.shocks, "stochastic.shocks");
+    if(st.noise!==undefined){
+      checkSpec(st.noise, "stochastic.noise");
+      need(["g","pi","d"].includes(st.noise && st.noise.on), `stochastic.noise.on must be "g", "pi" or "d"`);
+    }
+  }
+
+  /* optional welfare weights (chancellor/welfare.js) */
+  const wf = scn.welfare;
+  if(wf!==undefined && need(isObj(wf), "welfare must be an object")){
+    if(wf.weights!==undefined) need(isObj(wf.weights) && Object.entries(wf.weights).every(([key,v])=>WELFARE_WEIGHTS.includes(key) && isNum(v)),
+      `welfare.weights must be numbers on ${WELFARE_WEIGHTS.join(", ")}`);
+    if(wf.target!==undefined) need(isObj(wf.target) && isNum(wf.target.pi), "welfare.target.pi must be a number");
+    if(wf.crisis!==undefined) need(isNum(wf.crisis) && wf.crisis>=0, "welfare.crisis must be a non-negative number");
+  }
+
+  /* optional translations: each string must land on a string */
+  const tr = scn.i18n;
+  if(tr!==undefined && need(isObj(tr), "i18n must be an object keyed by locale")){
+    const walk = (base, over, at) => {
+      if(typeof over==="string") return need(typeof base==="string", `${at} translates nothing: the scenario has no string there`);
+      if(over===null) return;
+      if(Array.isArray(over)){
+        if(need(Array.isArray(base) && over.length<=base.length, `${at} must mirror an array of the scenario`)) over.forEach((o,i)=>walk(base[i], o, `${at}[${i}]`));
+      } else if(need(isObj(over) && isObj(base), `${at} must mirror an object of the scenario`)){
+        Object.entries(over).forEach(([key,o])=>walk(base[key], o, `${at}.${key}`));
+      }
+    };
+    Object.entries(tr).forEach(([lang,over])=>{
+      if(need(isObj(over), `i18n.${lang} must be an object`)) walk(scn, over, `i18n.${lang}`);
+    });
+  }
+
+  const feats = scn.debrief && scn.debrief.features;
+  if(isObj(feats)){
+    Object.entries(feats).forEach(([k,f])=>{
+      const at = `debrief.features.${k}`;
+      need(regKeys.includes(k), `${at}: unknown regime`);
+      if(!need(isObj(f), `${at} must be an object`)) return;
+      need(Number.isInteger(f.round) && f.round>=1 && f.round<=rounds.length, `${at}.round must name a round`);
+      need(Array.isArray(f.base) && f.base.length===rounds.length, `${at}.base must give one pick per round`);
+      need(isObj(f.A) && isObj(f.B), `${at} needs forks A and B`);
+    });
+  }
+
+  if(errs.length) throw new Error(`scenario ${scn.id || "?"}: ${errs.join("; ")}`);
+  return scn;
+}
+
+/* ?scenario= names a file in chancellor/scenarios/ — nothing else */
+export function scenarioName(name){
+  return name && /^[a-z0-9-]+$/i.test(name) ? name : "default";
+}
+
+export async function loadScenario(name){
+  const file = scenarioName(name);
+  const res = await fetch(new URL(`./scenarios/${file}.json`, import.meta.url));
+  if(!res.ok) throw new Error(`scenario ${file} not found`);
+  let scn;
+  try { scn = await res.json(); } catch { throw new Error(`scenario ${file} is not valid JSON`); }
+  validateScenario(scn);
+  if(scn.id !== file) throw new Error(`scenario ${file} says its id is ${scn.id}`);
+  return scn;
+}
+
+export async function loadEngine(name){ return createEngine(await loadScenario(name)); }
+
+/* the scenario with its strings in lang, where its i18n block has them;
+   numbers and anything untranslated are the scenario's own (null skips
+   an array entry). The scenario itself when there is nothing to apply. */
+export function localiseScenario(scn, lang){
+  const over = scn.i18n && scn.i18n[lang];
+  if(!over) return scn;
+  const merge = (base, o) => {
+    if(typeof o==="string") return typeof base==="string" ? o : base;
+    if(Array.isArray(o) && Array.isArray(base)) return base.map((b,i)=>o[i]===undefined || o[i]===null ? b : merge(b, o[i]));
+    if(isObj(o) && isObj(base)) return {...base, ...Object.fromEntries(Object.keys(o).filter(k=>k in base).map(k=>[k, merge(base[k], o[k])]))};
+    return base;
+  };
+  return merge(scn, over);
+}
+
+/* the phone's live caption under a slider: readout.value maps the dial
+   linearly to the quantity shown, {x} is its magnitude */
+export function sliderReadout(readout, v){
+  const [a,b] = readout.value;
+  const x = a + b*v;
+  if(Math.abs(x) < (readout.zero || 0)) return readout.neutral;
+  const r = x>0 || !readout.down ? readout.up : readout.down;
+  const fill = t => t.replace("{x}", Math.abs(x).toFixed(1));
+  return {big:fill(r.big), small:fill(r.small)};
+}
+
+/* a round's shock size as the screens print it: the scripted label, or —
+   when the room plays a seeded draw — the size actually drawn */
+const UNITS = {g:["%",1], pi:["%",1], i:[" pts",1], cred:["",0]};
+export function shockMag(engine, round){
+  const sh = engine.ROUNDS[round-1].shock;
+  if(!engine.draws) return sh.magVal;
+  const key = Object.keys(sh.effect || {})[0];
+  if(!key) return sh.magVal;
+  const W = engine.WORLD[round-1], v = key==="i" ? W.i - (round>1 ? engine.WORLD[round-2].i : 0) : W[key];
+  const [unit, dp] = UNITS[key];
+  return `${v<0?"−":"+"}${Math.abs(v).toFixed(dp)}${unit}`;
+}
+
+/* "four rounds", "six regimes" — counts as the screens say them */
+const WORDS = ["no","one","two","three","four","five","six","seven","eight","nine","ten"];
+export function spell(n){ return WORDS[n] || String(n); }
@@ -0,0 +1,96 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — session log
+   Everything the host knew about a class, as versioned JSON:
+   the room, the scenario (and seed) with the regimes and dials
+   it was played under, and per round each player's pick (with
+   the time it arrived) and the state it produced. A log can be exported, re-imported and
+   replayed round by round through the host's standings.
+   ============================================================ */
+export const LOG_VERSION = 2;
+export const LAST_SESSION_KEY = "chancellor:last-session";
+
+const STATE_FIELDS = ["b","d","pi","g","cred","i","crisis"];
+const pickState = s => Object.fromEntries(STATE_FIELDS.map(f=>[f,s[f]]));
+
+/* a new log, opened when the host starts the session under `engine` (createEngine) */
+export function createLog(engine, room, players, startedAt=Date.now()){
+  const regs = [...new Set(players.map(p=>p.reg))];
+  return {
+    version: LOG_VERSION,
+    room, startedAt,
+    scenario: engine.scenario.id,
+    seed: engine.seed,          // null unless the shocks were drawn
+    dials: {...engine.scenario.dials},
+    regimes: Object.fromEntries(regs.map(k=>[k,{...engine.REG[k]}])),
+    players: players.map(({id,name,reg})=>({id,name,reg})),
+    rounds: [],
+  };
+}
+
+/* append one resolved round. p.times[r-1] is when the pick arrived;
+   a pick with no time was filled in by the host when the clock ran out */
+export function recordRound(log, round, players, openedAt, closedAt=Date.now()){
+  const picks={}, states={};
+  players.forEach(p=>{
+    const at = p.times ? p.times[round-1] : undefined;
+    picks[p.id] = {pick:p.picks[round-1], at: at ?? null};
+    states[p.id] = pickState(p.state);
+  });
+  log.rounds[round-1] = {round, openedAt: openedAt ?? null, closedAt, picks, states};
+  return log;
+}
+
+export function serializeLog(log){ return JSON.stringify(log, null, 1); }
+
+/* parse and check an imported log; throws with a message the host can show */
+export function parseLog(text){
+  let log;
+  try { log = JSON.parse(text); } catch { throw new Error("not a JSON file"); }
+  if(!log || typeof log!=="object") throw new Error("not a session log");
+  /* version 1 predates scenario files: those classes all played the default game */
+  if(log.version===1) log = {...log, version:2, scenario:"default"};
+  if(log.version!==LOG_VERSION) throw new Error(`unsupported log version ${log.version} (expected ${LOG_VERSION})`);
+  if(!Array.isArray(log.players) || !Array.isArray(log.rounds) || !log.regimes) throw new Error("log is missing players, rounds or regimes");
+  log.players.forEach(p=>{
+    if(!log.regimes[p.reg]) throw new Error(`player ${p.name} plays an unknown regime ${p.reg}`);
+  });
+  log.rounds.forEach((r,i)=>{
+    if(!r || r.round!==i+1) throw new Error(`round ${i+1} is missing`);
+    log.players.forEach(p=>{
+      if(!r.states[p.id] || !r.picks[p.id]) throw new Error(`round ${i+1} has no entry for ${p.name}`);
+    });
+  });
+  return log;
+}
+
+/* the roster as the host held it after `round` rounds, rebuilt from the recorded states */
+export function playersAt(log, round){
+  return log.players.map(({id,name,reg})=>{
+    const R = log.regimes[reg];
+    let state = {b:R.b,d:R.d,pi:R.pi,g:R.g,cred:R.cred,i:R.ibase,crisis:false};
+    const hist=[R.b], picks=[];
+    log.rounds.slice(0,round).forEach(r=>{
+      state = {...r.states[id]};
+      picks.push(r.picks[id].pick);
+      hist.push(state.b);
+    });
+    return {id, name, reg, picks, submitted:true, state:{...state, hist}};
+  });
+}
+
+/* re-run the current engine on the recorded picks; any state it can't
+   reproduce means the calibration has moved since the class played */
+export function auditLog(log, engine, tol=1e-6){
+  const {REG, deltaFor, stepState, freshState} = engine;
+  const diffs=[];
+  log.players.forEach(p=>{
+    if(!REG[p.reg]) return;
+    const s = freshState(p.reg);
+    log.rounds.forEach(r=>{
+      stepState(s, p.reg, r.round, deltaFor(p.reg, r.round, r.picks[p.id].pick));
+      const want = r.states[p.id].b;
+      if(Math.abs(s.b-want)>tol) diffs.push({id:p.id, name:p.name, round:r.round, recorded:want, engine:s.b});
+    });
+  });
+  return diffs;
+}
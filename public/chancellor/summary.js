@@ -0,0 +1,59 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — class summary
+   Turns a session log (chancellor/session.js) into what the
+   debrief projects: per regime and round the spread of picks,
+   the class-average debt path against the calibrated sweet
+   spot, and who crossed the crisis line, and when.
+   ============================================================ */
+import { playersAt } from './session.js';
+
+/* counts of slider values in `bins` equal-width buckets over [0,1] */
+export function histogram(values, bins=10){
+  const h = new Array(bins).fill(0);
+  values.forEach(v=>{ h[Math.min(bins-1, Math.floor(v*bins))]++; });
+  return h;
+}
+
+/* the path a regime takes at its calibrated sweet spot: OPT_SLIDER on
+   the dials (the midpoint where a scenario has no calibration), the
+   prudent call on the binary rounds */
+export function sweetSpotPicks(engine, k){
+  const opt = engine.OPT_SLIDER[k];
+  let slider=0;
+  return engine.KIND.map((kind,i) => kind==="slider" ? (opt ? opt[slider++] : engine.defaultPick(i+1)) : 0);
+}
+export function sweetSpotPath(engine, k, rounds=engine.N){
+  const s = engine.freshState(k);
+  sweetSpotPicks(engine, k).slice(0,rounds).forEach((pick,i)=>engine.stepState(s, k, i+1, engine.deltaFor(k, i+1, pick)));
+  return s.hist;
+}
+
+export function summariseClass(log, engine){
+  const {REG, KIND, OPT_SLIDER} = engine;
+  const n = log.rounds.length;
+  const players = playersAt(log, n);
+  const regimes = {};
+  Object.keys(log.regimes).forEach(k=>{
+    const R = log.regimes[k];
+    const ps = players.filter(p=>p.reg===k).map(p=>{
+      const cross = p.state.hist.findIndex(b=>b>=R.bcrisis);
+      return {id:p.id, name:p.name, picks:p.picks, hist:p.state.hist, final:p.state.b, crossRound: cross>0 ? cross : -1};
+    });
+    if(!ps.length) return;
+    const avg = ps[0].hist.map((_,r)=>ps.reduce((sum,p)=>sum+p.hist[r],0)/ps.length);
+    const rounds = log.rounds.map((_,i)=>{
+      const picks = ps.map(p=>p.picks[i]);
+      if(KIND[i]==="slider"){
+        const mean = picks.reduce((a,b)=>a+b,0)/picks.length;
+        return {kind:"slider", picks, mean, bins:histogram(picks), opt:OPT_SLIDER[k] ? OPT_SLIDER[k][engine.sliderIndex(i+1)] : null};
+      }
+      return {kind:"binary", picks, split:[picks.filter(v=>v===0).length, picks.filter(v=>v===1).length]};
+    });
+    regimes[k] = {
+      bcrisis: R.bcrisis, players: ps, avg, rounds,
+      opt: REG[k] ? sweetSpotPath(engine, k, n) : null,
+      crossed: ps.filter(p=>p.crossRound>0).sort((a,b)=>a.crossRound-b.crossRound),
+    };
+  });
+  return {room:log.room, startedAt:log.startedAt, rounds:n, regimes};
+}
@@ -0,0 +1,69 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — welfare score
+   The leaderboard ranks on final debt alone, which rewards a desk
+   that crushed growth to get there. The welfare score weighs the
+   whole economy instead, round by round, against where the regime
+   started:
+     debt     −weight per point the debt ratio rose this round
+     growth   +weight per point growth runs above its start
+     inflation −weight per point inflation sits further from target
+               than it started
+     cred     +weight per point credibility gained this round
+     crisis   a one-off penalty in the round the line is crossed
+   Debt and credibility are stocks, so only the round's change
+   counts; growth and inflation are felt every year they last.
+   A scenario tunes it with an optional `welfare` block; anything
+   it leaves out falls back to WELFARE.
+   ============================================================ */
+
+export const WELFARE = {
+  weights: {debt:0.5, g:3, pi:2, cred:0.2},
+  target: {pi:2},
+  crisis: 30,
+};
+export const PARTS = ["debt","g","pi","cred","crisis"];
+
+export function welfareConfig(scenario){
+  const w = scenario.welfare || {};
+  return {
+    weights: {...WELFARE.weights, ...(w.weights||{})},
+    target: {...WELFARE.target, ...(w.target||{})},
+    crisis: w.crisis ?? WELFARE.crisis,
+  };
+}
+
+/* replay regime k's picks (the first `rounds` of them) and score each round */
+export function scoreCard(engine, k, picks, rounds=picks.length){
+  const {weights:W, target, crisis} = welfareConfig(engine.scenario);
+  const s = engine.freshState(k), start = {...s};
+  const gap = pi => Math.abs(pi - target.pi);
+  const card = [];
+  for(let r=1; r<=rounds; r++){
+    const before = {b:s.b, cred:s.cred, crisis:s.crisis};
+    engine.stepState(s, k, r, engine.deltaFor(k, r, picks[r-1]));
+    const row = {
+      round: r,
+      debt: -W.debt*(s.b - before.b),
+      g: W.g*(s.g - start.g),
+      pi: -W.pi*(gap(s.pi) - gap(start.pi)),
+      cred: W.cred*(s.cred - before.cred),
+      crisis: s.crisis && !before.crisis ? -crisis : 0,
+    };
+    row.total = PARTS.reduce((a,p)=>a+row[p], 0);
+    card.push(row);
+  }
+  return {rounds:card, total: card.reduce((a,r)=>a+r.total, 0), state:s};
+}
+
+export function welfareScore(engine, k, picks, rounds=picks.length){
+  return scoreCard(engine, k, picks, rounds).total;
+}
+
+/* one regime's players in leaderboard order. "debt": survivors by lowest
+   debt, then everyone in crisis; "welfare": highest score first, the
+   crisis penalty already counted in it. */
+export function rankPlayers(players, mode, scoreOf){
+  if(mode==="welfare") return players.slice().sort((a,b)=>scoreOf(b)-scoreOf(a));
+  const byDebt = (a,b)=>a.state.b-b.state.b;
+  return [...players.filter(p=>!p.state.crisis).sort(byDebt), ...players.filter(p=>p.state.crisis).sort(byDebt)];
+}
@@ -0,0 +1,28 @@
+/* Start the Chancellor's Game room server on this laptop.
+   usage: npm run room [-- --port 8787] */
+import { networkInterfaces } from 'node:os';
+import { createRoomServer, mintToken, DEFAULT_PORT, SOCKET_PATH } from './room-server.js';
+
+const arg = process.argv.indexOf('--port');
+const port = arg > 0 ? Number(process.argv[arg + 1]) : Number(process.env.PORT) || DEFAULT_PORT;
+
+/* the first non-internal IPv4 address is the one the phones can reach */
+function lanAddress() {
+  for (const list of Object.values(networkInterfaces())) {
+    for (const a of list || []) if (a.family === 'IPv4' && !a.internal) return a.address;
+  }
+  return 'localhost';
+}
+
+/* the host link carries this session's token; the players' link never does */
+const token = mintToken();
+const server = createRoomServer({ port, token });
+const { port: bound } = await server.listen();
+const base = `http://${lanAddress()}:${bound}`;
+const ws = encodeURIComponent(`ws://${lanAddress()}:${bound}${SOCKET_PATH}`);
+
+console.log(`Chancellor's Game room server on port ${bound}`);
+console.log(`  host (projector):  ${base}/chancellor-host.html?server=${ws}&token=${token}`);
+console.log(`  players (phones):  ${base}/chancellor-player.html?server=${ws}`);
+
+process.on('SIGINT', () => server.close().then(() => process.exit(0)));
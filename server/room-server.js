@@ -0,0 +1,355 @@
+/* ============================================================
+   THE CHANCELLOR'S GAME — local room server
+   A self-hostable replacement for the Firebase hooks: one Node
+   process on the lecture-room laptop serves the public/ pages
+   over HTTP and relays a small JSON protocol over WebSockets.
+   The server knows nothing about the engine — the host computes
+   every round from the picks it relays, exactly as in demo mode.
+
+   host   → {t:"host", room, regimes, scenario?}  open / reclaim a room
+   host   → {t:"phase", phase, round, ...}     broadcast to phones; open:false while
+                                               the session waits on the clock
+   host   → {t:"sync", id, ...}                one phone's state, after a resync
+   host   → {t:"rename", id, name}             lobby moderation: the phone hears
+   host   → {t:"assign", id, reg}              {t:"renamed"|"assigned"|"kicked"}
+   host   → {t:"kick", id}                     and the host gets the roster change
+   player → {t:"join", room, name, reg?, pid?} enter the lobby, or rejoin
+   player → {t:"pick", round, pick}            lock in a decision
+   player → {t:"vote", poll, choice}           answer the debrief slide's poll
+   presenter → {t:"present", room}             the debrief takes the room's phones
+   presenter → {t:"slide", step, of, kind, ...} relayed to phones, kept for late ones;
+                                               the presenter gets {t:"votes", poll, counts}
+
+   Everything the lecturer's screens send — host, phase, sync,
+   moderation, present and slide — carries the session's host token,
+   which server/index.js prints only in the host link; without it a
+   phone that knows the room code could take over the projector.
+   A message with a missing or wrong token gets {t:"error", code:"not-host"}.
+
+   pid is a phone's persistent identity. A phone that drops and
+   joins again with the same pid gets its seat back — in any phase —
+   and the host is asked {t:"resync", id} to send it a sync.
+   The presenter is the debrief page on the projector: as the lecturer
+   steps through it the phones follow, and a fork slide's poll is
+   tallied here, one vote per phone, for the slide to show — kept
+   for the session, so going back to a slide brings its tally back.
+
+   A room whose host drops is kept for hostGrace ms (ten minutes
+   by default) so a reloaded projector can reclaim it; after that
+   it is deleted and its code is free again.
+   ============================================================ */
+import { createServer } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { extname, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { uniqueName } from '../public/chancellor/lobby.js';
+
+export const DEFAULT_PORT = 8787;
+export const SOCKET_PATH = '/room';
+export const HOST_GRACE = 10 * 60 * 1000;
+const PUBLIC_DIR = fileURLToPath(new URL('../public/', import.meta.url));
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.pdf': 'application/pdf',
+};
+
+/* phases a host may broadcast; "closed" is sent by the server itself */
+const PHASES = ['lobby', 'deciding', 'standings', 'final', 'debrief'];
+
+function send(ws, msg) {
+  if (ws && ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg));
+}
+
+function roster(room) {
+  return [...room.players.values()].map(({ id, name, reg }) => ({ id, name, reg }));
+}
+
+const cleanName = name => String(name || '').trim().slice(0, 14) || 'Player';
+
+/* names stay unique in a room: a second "Sam" becomes "Sam 2" */
+function uniqueIn(room, name, self = null) {
+  return uniqueName(name, [...room.players.values()].filter(p => p !== self).map(p => p.name));
+}
+
+/* the least-filled regime, so the desks stay balanced as phones arrive */
+function balancedRegime(room) {
+  const counts = Object.fromEntries(room.regimes.map(k => [k, 0]));
+  room.players.forEach(p => { if (p.reg in counts) counts[p.reg]++; });
+  return room.regimes.reduce((best, k) => (counts[k] < counts[best] ? k : best), room.regimes[0]);
+}
+
+function validPick(pick) {
+  return typeof pick === 'number' && Number.isFinite(pick) && pick >= 0 && pick <= 1;
+}
+
+/* the debrief's current slide, with this phone's vote on its poll */
+function sendSlide(room, player) {
+  if (!room.slide) return;
+  const vote = room.votes.get(room.slide.poll)?.get(player.id);
+  send(player.ws, { t: 'slide', ...room.slide, ...(vote === undefined ? {} : { vote }) });
+}
+
+function sendVotes(room) {
+  if (!room.slide || !room.slide.poll) return;
+  const counts = [0, 0];
+  (room.votes.get(room.slide.poll) || []).forEach(choice => { counts[choice]++; });
+  send(room.presenter, { t: 'votes', poll: room.slide.poll, counts });
+}
+
+/* a fresh secret for the lecturer's screens, safe to put in a URL */
+export const mintToken = () => randomBytes(12).toString('base64url');
+
+export function createRoomServer({ port = DEFAULT_PORT, host, root = PUBLIC_DIR, token = mintToken(), hostGrace = HOST_GRACE } = {}) {
+  const rooms = new Map();
+  let nextId = 1;
+  const authorised = msg => typeof msg.token === 'string' && msg.token === token;
+
+  /* ---- static files: the phones load the pages from this laptop ---- */
+  const http = createServer(async (req, res) => {
+    let path;
+    try { path = decodeURIComponent(new URL(req.url, 'http://x').pathname); } catch {
+      res.writeHead(400, { 'content-type': 'text/plain' }).end('bad request');
+      return;
+    }
+    const file = resolve(root, '.' + normalize(path === '/' ? '/chancellor-host.html' : path));
+    if (file !== resolve(root) && !file.startsWith(resolve(root) + sep)) {
+      res.writeHead(403).end();
+      return;
+    }
+    try {
+      const body = await readFile(file);
+      res.writeHead(200, { 'content-type': TYPES[extname(file)] || 'application/octet-stream' });
+      res.end(body);
+    } catch {
+      res.writeHead(404, { 'content-type': 'text/plain' }).end('not found');
+    }
+  });
+
+  const wss = new WebSocketServer({ server: http, path: SOCKET_PATH });
+
+  function onHost(ws, msg) {
+    const code = String(msg.room || '').toUpperCase();
+    if (!code || !Array.isArray(msg.regimes) || !msg.regimes.length) {
+      return send(ws, { t: 'error', code: 'bad-host' });
+    }
+    let room = rooms.get(code);
+    if (!room) {
+      room = {
+        code, host: null, regimes: [], scenario: 'default', players: new Map(), banned: new Set(), state: { phase: 'lobby', round: 0 },
+        presenter: null, slide: null, votes: new Map(),   // poll → player id → choice
+        expiry: null,
+      };
+      rooms.set(code, room);
+    }
+    clearTimeout(room.expiry);
+    room.expiry = null;
+    if (room.host && room.host !== ws) send(room.host, { t: 'error', code: 'host-replaced' });
+    room.host = ws;
+    room.regimes = msg.regimes.map(String);
+    /* phones opened on another scenario switch to the host's when they join */
+    if (msg.scenario) room.scenario = String(msg.scenario);
+    ws.role = 'host';
+    ws.room = room;
+    send(ws, { t: 'hosted', room: code, scenario: room.scenario, players: roster(room), state: room.state });
+  }
+
+  function onPhase(ws, msg) {
+    const room = ws.room;
+    if (!PHASES.includes(msg.phase)) return send(ws, { t: 'error', code: 'bad-phase' });
+    const { t: _t, token: _token, picks, ...state } = msg;
+    room.state = state;
+    room.players.forEach(p => {
+      const out = { t: 'phase', ...state };
+      /* the host's resolved pick travels with the reveal, so every phone
+         steps its own engine on exactly the value the projector used */
+      if (picks && typeof picks === 'object' && p.id in picks) out.pick = picks[p.id];
+      send(p.ws, out);
+    });
+  }
+
+  function onJoin(ws, msg) {
+    const room = rooms.get(String(msg.room || '').toUpperCase());
+    if (!room) return send(ws, { t: 'error', code: 'no-room' });
+    const pid = typeof msg.pid === 'string' && msg.pid ? msg.pid.slice(0, 64) : null;
+    if (pid && room.banned.has(pid)) return send(ws, { t: 'error', code: 'kicked' });
+    const known = pid && [...room.players.values()].find(p => p.pid === pid);
+    if (known) return onRejoin(ws, room, known);
+    if (room.state.phase !== 'lobby') return send(ws, { t: 'error', code: 'started' });
+    const name = uniqueIn(room, cleanName(msg.name));
+    const reg = room.regimes.includes(msg.reg) ? msg.reg : balancedRegime(room);
+    const player = { id: 'p' + nextId++, pid, name, reg, ws, picks: {} };
+    room.players.set(player.id, player);
+    ws.role = 'player';
+    ws.room = room;
+    ws.player = player;
+    send(ws, { t: 'joined', id: player.id, name, reg, scenario: room.scenario, state: room.state });
+    send(room.host, { t: 'player', id: player.id, name, reg });
+    sendSlide(room, player);
+  }
+
+  /* the same phone back on a new socket: hand it the seat, then let the
+     host — which holds its trajectory — send it everything it missed */
+  function onRejoin(ws, room, player) {
+    const old = player.ws;
+    player.ws = ws;
+    if (old && old !== ws) {
+      send(old, { t: 'error', code: 'replaced' });
+      old.close();
+    }
+    ws.role = 'player';
+    ws.room = room;
+    ws.player = player;
+    const { id, name, reg } = player;
+    send(ws, { t: 'joined', id, name, reg, scenario: room.scenario, state: room.state, resumed: true });
+    send(room.host, { t: 'resync', id });
+    sendSlide(room, player);
+  }
+
+  function onSync(ws, msg) {
+    const player = ws.room.players.get(msg.id);
+    if (!player) return send(ws, { t: 'error', code: 'no-player' });
+    const { token: _token, ...sync } = msg;
+    send(player.ws, { ...sync, t: 'sync' });
+  }
+
+  /* the host tidies its lobby: a rename, a move to another desk, or a removal.
+     A kicked phone's pid is turned away for the rest of the session. */
+  function onModerate(ws, msg) {
+    const room = ws.room;
+    const player = room.players.get(msg.id);
+    if (!player) return send(ws, { t: 'error', code: 'no-player' });
+    if (msg.t === 'kick') {
+      room.players.delete(player.id);
+      if (player.pid) room.banned.add(player.pid);
+      const phone = player.ws;
+      player.ws = null;
+      send(phone, { t: 'kicked' });
+      if (phone) phone.close();
+      return send(ws, { t: 'left', id: player.id });
+    }
+    if (msg.t === 'rename') {
+      player.name = uniqueIn(room, cleanName(msg.name), player);
+      send(player.ws, { t: 'renamed', name: player.name });
+    } else {
+      if (room.state.phase !== 'lobby') return send(ws, { t: 'error', code: 'started' });
+      if (!room.regimes.includes(msg.reg)) return send(ws, { t: 'error', code: 'bad-regime' });
+      player.reg = msg.reg;
+      send(player.ws, { t: 'assigned', reg: player.reg });
+    }
+    const { id, name, reg } = player;
+    send(ws, { t: 'player', id, name, reg });
+  }
+
+  /* the debrief on the projector: one per room, the latest to ask */
+  function onPresent(ws, msg) {
+    const room = rooms.get(String(msg.room || '').toUpperCase());
+    if (!room) return send(ws, { t: 'error', code: 'no-room' });
+    if (room.presenter && room.presenter !== ws) send(room.presenter, { t: 'error', code: 'presenter-replaced' });
+    room.presenter = ws;
+    ws.role = 'presenter';
+    ws.room = room;
+    send(ws, { t: 'presenting', room: room.code, players: room.players.size });
+    sendVotes(room);
+  }
+
+  function onSlide(ws, msg) {
+    const room = ws.room;
+    const { t: _t, token: _token, ...slide } = msg;
+    room.slide = slide;
+    room.players.forEach(p => sendSlide(room, p));
+    sendVotes(room);
+  }
+
+  function onVote(ws, msg) {
+    const { room, player } = ws;
+    if (!room.slide || !room.slide.poll || msg.poll !== room.slide.poll) return send(ws, { t: 'error', code: 'no-poll' });
+    if (msg.choice !== 0 && msg.choice !== 1) return send(ws, { t: 'error', code: 'bad-vote' });
+    if (!room.votes.has(msg.poll)) room.votes.set(msg.poll, new Map());
+    room.votes.get(msg.poll).set(player.id, msg.choice);
+    send(ws, { t: 'voted', poll: msg.poll, choice: msg.choice });
+    sendVotes(room);
+  }
+
+  function onPick(ws, msg) {
+    const { room, player } = ws;
+    const { phase, round, open } = room.state;
+    /* {phase:"deciding", open:false}: the session has started, the clock has not */
+    if (phase !== 'deciding' || open === false || msg.round !== round) return send(ws, { t: 'error', code: 'closed' });
+    if (!validPick(msg.pick)) return send(ws, { t: 'error', code: 'bad-pick' });
+    if (round in player.picks) return send(ws, { t: 'error', code: 'locked' });
+    player.picks[round] = msg.pick;
+    send(ws, { t: 'ack', round });
+    send(room.host, { t: 'pick', id: player.id, round, pick: msg.pick });
+  }
+
+  function onClose(ws) {
+    const room = ws.room;
+    if (!room) return;
+    if (ws.role === 'host' && room.host === ws) {
+      room.host = null;
+      room.players.forEach(p => send(p.ws, { t: 'phase', phase: 'closed' }));
+      room.expiry = setTimeout(() => rooms.delete(room.code), hostGrace);
+      room.expiry.unref();
+    } else if (ws.role === 'presenter' && room.presenter === ws) {
+      room.presenter = null;
+      room.slide = null;
+      room.players.forEach(p => send(p.ws, { t: 'slide', off: true }));
+    } else if (ws.role === 'player') {
+      const p = ws.player;
+      if (p.ws !== ws) return;          // already rejoined on another socket
+      p.ws = null;
+      /* a phone that leaves the lobby frees its seat; mid-game it stays
+         on the board and the host fills in its timed-out picks */
+      if (room.state.phase === 'lobby') {
+        room.players.delete(p.id);
+        send(room.host, { t: 'left', id: p.id });
+      }
+    }
+  }
+
+  wss.on('connection', ws => {
+    ws.on('message', data => {
+      let msg;
+      try { msg = JSON.parse(data); } catch { msg = null; }
+      /* valid JSON is not enough: null, a number or a string has no .t */
+      if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return send(ws, { t: 'error', code: 'bad-json' });
+      if (msg.t === 'join') return onJoin(ws, msg);
+      if (ws.role === 'player' && msg.t === 'pick') return onPick(ws, msg);
+      if (ws.role === 'player' && msg.t === 'vote') return onVote(ws, msg);
+      /* from here on only the lecturer's screens, and only with the token */
+      const lecturer = ['host', 'present'].includes(msg.t) || ['host', 'presenter'].includes(ws.role);
+      if (lecturer && !authorised(msg)) return send(ws, { t: 'error', code: 'not-host' });
+      if (msg.t === 'host') return onHost(ws, msg);
+      if (msg.t === 'present') return onPresent(ws, msg);
+      if (ws.role === 'host' && msg.t === 'phase') return onPhase(ws, msg);
+      if (ws.role === 'host' && msg.t === 'sync') return onSync(ws, msg);
+      if (ws.role === 'host' && ['rename', 'assign', 'kick'].includes(msg.t)) return onModerate(ws, msg);
+      if (ws.role === 'presenter' && msg.t === 'slide') return onSlide(ws, msg);
+      send(ws, { t: 'error', code: 'bad-message' });
+    });
+    ws.on('close', () => onClose(ws));
+  });
+
+  return {
+    rooms,
+    token,
+    listen() {
+      return new Promise(res => http.listen(port, host, () => res(http.address())));
+    },
+    close() {
+      rooms.forEach(room => clearTimeout(room.expiry));
+      wss.clients.forEach(c => c.terminate());
+      return new Promise(res => wss.close(() => http.close(() => res())));
+    },
+  };
+}
@@ -1,63 +1,495 @@
-import React, { useState, useMemo } from 'react';
-import { Link } from 'react-router-dom';
-import { ArrowLeft } from 'lucide-react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, Shuffle, Pin, X, Link2, Download } from 'lucide-react';
 import {
+  ComposedChart,
   LineChart,
+  Area,
   Line,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
   ResponsiveContainer,
-  ReferenceLine
+  ReferenceLine,
+  Legend
 } from 'recharts';
+import {
+  projectDebt,
+  simulateFan,
+  scenarioModel,
+  effectiveThreshold,
+  interestGrowthGap,
+  regimePreset,
+  MAX_SPREAD,
+  series,
+  isFlat,
+  solveFiscalRule,
+  MAX_BALANCE,
+  FAN_BANDS,
+  SCHEDULE_PRESETS,
+  HORIZON
+} from './debtDynamics';
+import {
+  scenariosToQuery,
+  scenariosFromQuery,
+  cleanName,
+  DEFAULT_SCENARIO,
+  EXAMPLE_SCENARIOS,
+  MAX_PINNED
+} from './scenarioLink';
+import { loadCountries, countryScenario, historyPoints } from './countryPresets';
+import { projectionTable, toCSV, annotatedSvg, downloadBlob, svgToPng } from './exportProjection';
+
+// Fill for each fan band, outermost (palest) first
+const BAND_FILL = { p5_95: '#e7e5e4', p10_90: '#d6d3d1', p25_75: '#a8a29e' };
+const BAND_NAME = { p5_95: '5th–95th percentile', p10_90: '10th–90th percentile', p25_75: '25th–75th percentile' };
+
+const Control = ({ label, value, display, min, max, step, onChange }) => (
+  <div className="group">
+    <div className="flex justify-between font-sans text-xs font-bold uppercase tracking-widest text-stone-500 mb-4 group-hover:text-stone-800 transition-colors">
+      <span>{label}</span>
+      <span className="font-mono text-stone-900">{display ?? `${value}%`}</span>
+    </div>
+    <input 
+      type="range" min={min} max={max} step={step}
+      value={value} onChange={(e) => onChange(e.target.value)}
+      className="w-full accent-stone-700 h-1 bg-stone-200 rounded-lg appearance-none cursor-pointer"
+    />
+  </div>
+);
+
+// The rows of the year-by-year schedule table
+const SCHEDULE_ROWS = [
+  { key: 'interestRate', label: 'Interest rate (r)' },
+  { key: 'growthRate', label: 'Growth (g)' },
+  { key: 'primaryDeficit', label: 'Primary deficit' },
+];
+const FLAT = { interestRate: null, growthRate: null, primaryDeficit: null };
+const ADVANCED_DEFAULTS = { c: 0.0024, bstar: 130, credibility: 90, fxShare: 0, depreciation: 0, devaluation: 0 };
+// Column headings for the exported table; pinned scenarios add their own
+const EXPORT_LABELS = {
+  calendarYear: 'Calendar year',
+  year: 'Year',
+  history: 'Actual debt (% of GDP)',
+  debt: 'Debt-to-GDP (%)',
+  rate: 'Effective interest rate (%)',
+  market: 'Market interest rate (%)',
+  spread: 'Risk premium (points)',
+  fx: 'Depreciation effect (% of GDP)',
+  median: 'Median path (%)',
+  p5_95: '5th–95th percentile (%)',
+  p10_90: '10th–90th percentile (%)',
+  p25_75: '25th–75th percentile (%)',
+  constantRule: 'Constant balance rule (%)',
+  phasedRule: 'Phased balance rule (%)',
+};
+const EXPORT_BUTTON = 'text-xs font-mono px-2.5 py-1.5 border border-stone-300 rounded-sm text-stone-600 hover:text-stone-900 hover:border-stone-500 transition-colors';
+
+const PIN_COLORS = ['#4338ca', '#be185d', '#0369a1', '#a16207', '#4d7c0f', '#7e22ce'];
+const CONSTANT = { key: 'constant', label: 'Constant', description: 'Every year at the slider values.' };
+const YEARS = Array.from({ length: HORIZON }, (_, i) => i + 1);
 
 const DebtSimulator = () => {
+  // Settings and pinned scenarios open from the link when there is one
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [linked] = useState(() => scenariosFromQuery(searchParams));
+  const start = linked.current || DEFAULT_SCENARIO;
+  const startAdvanced = start.advanced || ADVANCED_DEFAULTS;
+
   // Initialize state with standard UK-style figures
-  const [initialDebt, setInitialDebt] = useState(100);
-  const [interestRate, setInterestRate] = useState(4);
-  const [growthRate, setGrowthRate] = useState(2);
-  const [primaryDeficit, setPrimaryDeficit] = useState(2);
+  const [initialDebt, setInitialDebt] = useState(start.initialDebt);
+  const [interestRate, setInterestRate] = useState(start.interestRate);
+  const [growthRate, setGrowthRate] = useState(start.growthRate);
+  const [primaryDeficit, setPrimaryDeficit] = useState(start.primaryDeficit);
 
-  // Calculate the 20-year projection based on the macroeconomic inputs
-  const chartData = useMemo(() => {
-    let currentDebt = parseFloat(initialDebt);
-    const data = [];
-    
-    for (let year = 0; year <= 20; year++) {
-      data.push({
-        year: year,
-        debt: parseFloat(currentDebt.toFixed(1))
-      });
-      
-      // Macroeconomic Debt Dynamics Formula:
-      // Debt(t) = Debt(t-1) * ((1 + r) / (1 + g)) + PrimaryDeficit
-      const r = interestRate / 100;
-      const g = growthRate / 100;
-      const p = parseFloat(primaryDeficit);
-      
-      currentDebt = currentDebt * ((1 + r) / (1 + g)) + p;
+  // Year-by-year schedules, held as offsets from the sliders so that moving
+  // a slider shifts its whole path; null keeps a parameter flat
+  const [offsets, setOffsets] = useState(start.offsets);
+  const [preset, setPreset] = useState(null);
+  const base = { interestRate, growthRate, primaryDeficit };
+
+  // Maturity profile: how fast a change in the market rate reaches the stock
+  const [maturityOn, setMaturityOn] = useState(Boolean(start.maturity));
+  const [maturityYears, setMaturityYears] = useState(start.maturity ? start.maturity.years : 14);
+  const [effectiveToday, setEffectiveToday] = useState(start.maturity ? start.maturity.effectiveRate : start.interestRate);
+
+  const toggleMaturity = () => {
+    if (!maturityOn) setEffectiveToday(interestRate);
+    setMaturityOn(!maturityOn);
+  };
+
+  const applyPreset = (key) => {
+    const found = SCHEDULE_PRESETS.find(p => p.key === key);
+    setOffsets(found ? { ...FLAT, ...found.build(base) } : FLAT);
+    setPreset(found ? key : null);
+  };
+
+  // Typing a year's value stores its distance from the slider. The field
+  // keeps the raw text until it loses focus, so it can be cleared and retyped.
+  const [drafts, setDrafts] = useState({});
+  const editYear = (key, index, text) => {
+    setDrafts({ ...drafts, [`${key}:${index}`]: text });
+    const value = parseFloat(text);
+    if (Number.isNaN(value)) return;
+    const current = offsets[key] || new Array(HORIZON).fill(0);
+    setOffsets({ ...offsets, [key]: current.map((d, i) => (i === index ? value - Number(base[key]) : d)) });
+    setPreset(null);
+  };
+  const endEdit = (key, index) => {
+    const { [`${key}:${index}`]: _done, ...rest } = drafts;
+    setDrafts(rest);
+  };
+
+  // Stochastic mode: volatilities in percentage points, a seed so the fan
+  // holds still while sliders move, and the breach test
+  const [stochastic, setStochastic] = useState(false);
+  const [sdRate, setSdRate] = useState(1);
+  const [sdGrowth, setSdGrowth] = useState(1.5);
+  const [correlation, setCorrelation] = useState(0.3);
+  const [sdDeficit, setSdDeficit] = useState(1);
+  const [paths, setPaths] = useState(5000);
+  const [threshold, setThreshold] = useState(100);
+  const [breachYear, setBreachYear] = useState(10);
+  const [seed, setSeed] = useState(1);
+
+  // Solver mode: the primary balance that brings debt to a target by a year
+  const [solver, setSolver] = useState(false);
+  const [target, setTarget] = useState(60);
+  const [ruleHorizon, setRuleHorizon] = useState(10);
+
+  // Advanced panel: the Chancellor engine's risk premium and foreign-currency
+  // debt, with the game's regimes as presets
+  const [advanced, setAdvanced] = useState(Boolean(start.advanced));
+  const [spreadC, setSpreadC] = useState(startAdvanced.c);
+  const [bstar, setBstar] = useState(startAdvanced.bstar);
+  const [credibility, setCredibility] = useState(startAdvanced.credibility);
+  const [fxShare, setFxShare] = useState(startAdvanced.fxShare);
+  const [depreciation, setDepreciation] = useState(startAdvanced.depreciation);
+  const [devaluation, setDevaluation] = useState(startAdvanced.devaluation);
+  const [regime, setRegime] = useState(null);
+  const [game, setGame] = useState(null);
+
+  // The regimes come from the game's own scenario file, so the two can't drift apart
+  useEffect(() => {
+    fetch(`${import.meta.env.BASE_URL}chancellor/scenarios/default.json`)
+      .then(res => res.json())
+      .then(scenario => setGame({ regimes: scenario.regimes, kappa: scenario.dials.KAPPA }))
+      .catch(() => setGame(null));
+  }, []);
+
+  const kappa = game ? game.kappa : 0.4;
+  const bstarEffective = effectiveThreshold(bstar, credibility, kappa);
+
+  const applyRegime = (key) => {
+    const p = regimePreset(game.regimes[key], kappa);
+    setInitialDebt(p.initialDebt);
+    setInterestRate(p.interestRate);
+    setGrowthRate(p.growthRate);
+    setPrimaryDeficit(p.primaryDeficit);
+    setSpreadC(p.c);
+    setBstar(p.bstar);
+    setCredibility(p.credibility);
+    setFxShare(Math.round(p.fxShare * 100));
+    setDepreciation(0);
+    setDevaluation(0);
+    setOffsets(FLAT);
+    setPreset(null);
+    setRegime(key);
+    setCountryCode(null);
+  };
+
+  // Country presets, with the debt path that led to today
+  const [countries, setCountries] = useState(null);
+  const [countryCode, setCountryCode] = useState(null);
+  const [showHistory, setShowHistory] = useState(true);
+
+  useEffect(() => {
+    loadCountries(`${import.meta.env.BASE_URL}debt-simulator/countries.json`)
+      .then(setCountries)
+      .catch(() => setCountries(null));
+  }, []);
+
+  const country = countries && countries.countries.find(c => c.code === countryCode);
+  const history = country && showHistory ? historyPoints(country, countries.asOf) : [];
+  const yearLabel = (year) => (history.length ? String(countries.asOf + Number(year)) : year);
+
+  // The settings as a scenario, and everything the projections share
+  const current = useMemo(() => ({
+    initialDebt, interestRate, growthRate, primaryDeficit, offsets,
+    maturity: maturityOn ? { years: maturityYears, effectiveRate: effectiveToday } : null,
+    advanced: advanced ? { c: spreadC, bstar, credibility, fxShare, depreciation, devaluation } : null,
+  }), [initialDebt, interestRate, growthRate, primaryDeficit, offsets, maturityOn, maturityYears, effectiveToday, advanced, spreadC, bstar, credibility, fxShare, depreciation, devaluation]);
+  const model = useMemo(() => scenarioModel(current, kappa), [current, kappa]);
+  const { interestRate: ratePath, growthRate: growthPath, primaryDeficit: deficitPath } = model;
+  const schedule = { interestRate: series(ratePath), growthRate: series(growthPath), primaryDeficit: series(deficitPath) };
+
+  // Pinned scenarios, overlaid on the chart for comparison
+  const [pinned, setPinned] = useState(linked.pinned);
+  const [pinName, setPinName] = useState('');
+  const [copied, setCopied] = useState(false);
+  const pinnedData = useMemo(() => pinned.map(s => projectDebt(scenarioModel(s, kappa))), [pinned, kappa]);
+
+  const pinCurrent = () => {
+    const name = cleanName(pinName) || `Scenario ${pinned.length + 1}`;
+    setPinned([...pinned, { ...current, name }].slice(-MAX_PINNED));
+    setPinName('');
+  };
+
+  const loadScenario = (s) => {
+    const adv = s.advanced || ADVANCED_DEFAULTS;
+    setInitialDebt(s.initialDebt);
+    setInterestRate(s.interestRate);
+    setGrowthRate(s.growthRate);
+    setPrimaryDeficit(s.primaryDeficit);
+    setOffsets(s.offsets || FLAT);
+    setPreset(null);
+    setMaturityOn(Boolean(s.maturity));
+    if (s.maturity) {
+      setMaturityYears(s.maturity.years);
+      setEffectiveToday(s.maturity.effectiveRate);
     }
-    return data;
-  }, [initialDebt, interestRate, growthRate, primaryDeficit]);
+    setAdvanced(Boolean(s.advanced));
+    setSpreadC(adv.c);
+    setBstar(adv.bstar);
+    setCredibility(adv.credibility);
+    setFxShare(adv.fxShare);
+    setDepreciation(adv.depreciation);
+    setDevaluation(adv.devaluation);
+    setRegime(null);
+    setCountryCode(null);
+  };
+
+  const pickCountry = (code) => {
+    const picked = countries.countries.find(c => c.code === code);
+    if (picked) loadScenario(countryScenario(picked));
+    setCountryCode(picked ? code : null);
+  };
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    });
+  };
+
+  // Keep the address bar in step, so the page's own URL is the share link.
+  // Slider drags settle first: browsers throttle rapid history updates.
+  useEffect(() => {
+    const id = setTimeout(() => setSearchParams(scenariosToQuery(current, pinned), { replace: true }), 300);
+    return () => clearTimeout(id);
+  }, [current, pinned, setSearchParams]);
+
+  // Calculate the 20-year projection based on the macroeconomic inputs
+  const chartData = useMemo(() => projectDebt(model), [model]);
+
+  // Simulate the fan around it, year by year, when stochastic mode is on
+  const simulation = useMemo(() => {
+    if (!stochastic) return null;
+    return simulateFan({
+      ...model,
+      sdRate, sdGrowth, correlation, sdDeficit,
+      paths: Number(paths), threshold, seed,
+    });
+  }, [stochastic, model, sdRate, sdGrowth, correlation, sdDeficit, paths, threshold, seed]);
+
+  // Solve the rule and project debt under both of its balance paths
+  const rule = useMemo(() => {
+    if (!solver) return null;
+    const solved = solveFiscalRule({ ...model, target, horizon: ruleHorizon });
+    if (solved.unreachable) return solved;
+    const under = (deficit) => projectDebt({ ...model, primaryDeficit: deficit });
+    return { ...solved, constantPath: under(solved.constant.deficit), phasedPath: under(solved.phased.deficit) };
+  }, [solver, model, target, ruleHorizon]);
+  const ruleLines = rule && !rule.unreachable;
+
+  const plotData = [
+    ...history.slice(0, -1),
+    ...chartData.map((point, year) => ({
+      ...point,
+      ...(year === 0 && history.length && { history: history[history.length - 1].history }),
+      ...(simulation && simulation.fan[year]),
+      ...(ruleLines && { constantRule: rule.constantPath[year].debt, phasedRule: rule.phasedPath[year].debt }),
+      ...Object.fromEntries(pinnedData.map((data, i) => [`pin${i}`, data[year].debt])),
+    })),
+  ];
+  const breachProbability = simulation ? simulation.breach[breachYear] : null;
+
+  // Determine the (r - g) dynamic for the summary text, on average over the
+  // horizon when the schedules (or the risk premium) make it change from
+  // year to year
+  const gaps = interestGrowthGap(chartData.slice(1).map(point => point.rate), growthPath);
+  const varying = gaps.some(gap => gap !== gaps[0]);
+  const rMinusG = varying ? Math.round(gaps.reduce((a, b) => a + b, 0) / HORIZON * 10) / 10 : gaps[0];
+  const onAverage = varying ? ' on average' : '';
 
-  // Determine the (r - g) dynamic for the summary text
-  const rMinusG = interestRate - growthRate;
+  let pathText = "";
+  if (varying) {
+    const flip = gaps.findIndex(gap => gap * gaps[0] < 0);
+    pathText = `Here r − g moves from ${gaps[0]} points in year 1 to ${gaps[HORIZON - 1]} in year ${HORIZON}, averaging ${rMinusG}.`;
+    if (flip > 0) pathText += ` It changes sign in year ${flip + 1}, turning the debt dynamics ${gaps[flip] > 0 ? 'against' : 'in favour of'} the government.`;
+  }
+  if (offsets.primaryDeficit) {
+    const d = schedule.primaryDeficit;
+    pathText += `${pathText ? ' ' : ''}The primary deficit runs from ${d[0]}% of GDP in year 1 to ${d[HORIZON - 1]}% in year ${HORIZON}.`;
+  }
   
   let summaryText = "";
   let statusColor = "";
 
   if (rMinusG > 0) {
-    summaryText = `Because the interest rate exceeds growth (r > g by ${rMinusG}%), the debt is compounding faster than the economy can keep up. Unless the deficit is severely cut, the trajectory is explosive.`;
+    summaryText = `Because the interest rate exceeds growth${onAverage} (r > g by ${rMinusG}%), the debt is compounding faster than the economy can keep up. Unless the deficit is severely cut, the trajectory is explosive.`;
     statusColor = "border-red-300 bg-red-50 text-red-900";
   } else if (rMinusG < 0) {
-    summaryText = `Because growth is higher than the interest rate (g > r by ${Math.abs(rMinusG)}%), the economy is "outgrowing" its debt. The burden may stabilize or shrink despite running a deficit.`;
+    summaryText = `Because growth is higher than the interest rate${onAverage} (g > r by ${Math.abs(rMinusG)}%), the economy is "outgrowing" its debt. The burden may stabilize or shrink despite running a deficit.`;
     statusColor = "border-emerald-300 bg-emerald-50 text-emerald-900";
   } else {
-    summaryText = `Interest rates and economic growth are perfectly balanced (r = g). The debt trajectory is driven entirely by the size of the primary deficit.`;
+    summaryText = `Interest rates and economic growth are perfectly balanced${onAverage} (r = g). The debt trajectory is driven entirely by the size of the primary deficit.`;
     statusColor = "border-stone-300 bg-stone-100 text-stone-800";
   }
 
+  let riskText = "";
+  if (simulation) {
+    const pct = Math.round(breachProbability * 1000) / 10;
+    const median = simulation.fan[HORIZON].median;
+    riskText = `Across ${Number(paths).toLocaleString()} simulated paths, debt rises above ${threshold}% of GDP by year ${breachYear} in ${pct}% of them. The median path ends the 20 years at ${median}%, against ${chartData[HORIZON].debt}% with no shocks at all.`;
+  }
+
+  let advancedText = "";
+  if (advanced) {
+    const last = chartData[HORIZON];
+    if (model.premium) {
+      const capped = chartData.findIndex(point => point.spread >= MAX_SPREAD);
+      advancedText = `Lenders add a premium once debt passes ${bstarEffective}% of GDP — the ${bstar}% threshold, moved ${bstarEffective >= bstar ? 'up' : 'down'} by credibility of ${credibility}. `;
+      advancedText += capped > 0
+        ? `By year ${capped} it has hit its ${MAX_SPREAD}-point ceiling: in the classroom game, that is the crisis.`
+        : `By year ${HORIZON} it adds ${last.spread} points to r.`;
+    }
+    if (model.fxShare > 0) {
+      const added = Math.round(chartData.reduce((sum, point) => sum + (point.fx || 0), 0) * 10) / 10;
+      const lead = `${advancedText ? ' ' : ''}With ${fxShare}% of the debt owed in foreign currency, `;
+      if (added > 0) {
+        advancedText += `${lead}depreciation adds ${added} points of GDP to it over the 20 years`;
+        advancedText += Number(devaluation) > 0 ? `, ${chartData[1].fx} of them from the year-1 devaluation alone.` : '.';
+      } else {
+        const perTen = Math.round(model.fxShare * 0.1 * Number(initialDebt) * 10) / 10;
+        advancedText += `${lead}every 10% the currency falls today would add ${perTen} points of GDP to the debt.`;
+      }
+    }
+  }
+
+  let maturityText = "";
+  if (maturityOn) {
+    const rates = chartData.slice(1);
+    const share = Math.round(100 / Math.max(1, Number(maturityYears)));
+    const widest = rates.reduce((w, point) => (Math.abs(point.market - point.rate) > Math.abs(w.market - w.rate) ? point : w), rates[0]);
+    maturityText = `With an average maturity of ${maturityYears} years, about ${share}% of the debt is refinanced each year, so the effective rate on the stock moves from ${effectiveToday}% to ${rates[HORIZON - 1].rate}% over the 20 years while new debt is issued at ${rates[0].market}% in year 1 and ${rates[HORIZON - 1].market}% in year ${HORIZON}.`;
+    if (Math.abs(widest.market - widest.rate) >= 0.1) {
+      maturityText += ` The gap is widest in year ${widest.year}, when the stock pays ${widest.rate}% against a market rate of ${widest.market}%: that is the time a long maturity buys.`;
+    }
+  }
+
+  let ruleText = "";
+  if (rule) {
+    const H = rule.horizon;
+    const balance = (x) => (x >= 0 ? `primary surplus of ${x}%` : `primary deficit of ${Math.abs(x)}%`);
+    const surplus = (x) => `a ${balance(x)}`;
+    const holding = ` Simply holding debt at ${initialDebt}% would take ${surplus(rule.stabilising)} at year-1 rates.`;
+    if (rule.unreachable) {
+      ruleText = `No primary balance within ${MAX_BALANCE}% of GDP either way brings debt from ${initialDebt}% to ${target}% of GDP by year ${H}: the target is out of reach. A later year or a ${Number(target) < Number(initialDebt) ? 'higher' : 'lower'} target would bring it back.` + holding;
+    } else {
+      const planned = series(deficitPath).slice(0, H);
+      const plannedBalance = Math.round(-planned.reduce((a, b) => a + b, 0) / H * 100) / 100;
+      const effort = Math.round((rule.constant.balance - plannedBalance) * 100) / 100;
+      ruleText = `To bring debt from ${initialDebt}% to ${target}% of GDP by year ${H} takes ${surplus(rule.constant.balance)} of GDP every year. Your path averages ${surplus(plannedBalance)} over those years and reaches ${chartData[H].debt}% instead, `;
+      ruleText += effort > 0
+        ? `so the rule asks for ${effort} points of GDP a year more tightening.`
+        : `so it already beats the target with ${Math.abs(effort)} points a year to spare.`;
+      ruleText += ` Phased in evenly from today's ${balance(rule.phased.start)} instead, the path has to reach ${surplus(rule.phased.end)} by year ${H}.` + holding;
+    }
+  }
+
+  // Exports: the table behind the chart, and the chart with its story
+  const chartRef = useRef(null);
+  const [exportError, setExportError] = useState('');
+
+  const exportSettings = [
+    `Initial debt ${initialDebt}% of GDP · r ${interestRate}% · g ${growthRate}% · primary deficit ${primaryDeficit}%`,
+    !isFlat(offsets) && `Year-by-year paths for ${SCHEDULE_ROWS.filter(row => offsets[row.key]).map(row => row.label.toLowerCase()).join(', ')}`,
+    maturityOn && `Average maturity ${maturityYears} years · effective rate today ${effectiveToday}%`,
+    advanced && `Risk premium c = ${spreadC} past ${bstarEffective}% of GDP · foreign-currency share ${fxShare}% · depreciation ${depreciation}% a year after a year-1 devaluation of ${devaluation}%`,
+    simulation && `${Number(paths).toLocaleString()} simulated paths · volatility of r ${sdRate}, of g ${sdGrowth}, correlation ${correlation} · deficit shocks ${sdDeficit} · breach above ${threshold}% by year ${breachYear}`,
+    rule && `Fiscal rule: ${target}% of GDP by year ${rule.horizon}`,
+    country && `Country preset: ${country.name}, around ${countries.asOf}`,
+  ].filter(Boolean);
+  const exportAnalysis = [summaryText, pathText, maturityText, advancedText, riskText, ruleText].filter(Boolean);
+
+  const exportTable = () => {
+    const labels = { ...EXPORT_LABELS };
+    if (!maturityOn) delete labels.market;
+    pinned.forEach((s, i) => { labels[`pin${i}`] = `${s.name} (%)`; });
+    const rows = history.length ? plotData.map(row => ({ ...row, calendarYear: countries.asOf + row.year })) : plotData;
+    return projectionTable(rows, labels);
+  };
+
+  const exportCSV = () => {
+    downloadBlob(new Blob([toCSV(exportTable())], { type: 'text/csv' }), 'debt-projection.csv');
+  };
+
+  const exportJSON = () => {
+    const data = {
+      title: 'Macroeconomic Policy Space Simulator',
+      exported: new Date().toISOString(),
+      link: window.location.href,
+      settings: exportSettings,
+      analysis: exportAnalysis,
+      scenario: current,
+      pinned,
+      table: exportTable(),
+    };
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'debt-projection.json');
+  };
+
+  const exportLegend = () => [
+    history.length > 0 && { name: `${country.name}, actual`, color: '#78716c' },
+    { name: pinned.length ? 'Current settings' : 'Debt-to-GDP', color: '#292524' },
+    simulation && { name: 'Median path', color: '#57534e', dashed: true },
+    ...(simulation ? FAN_BANDS.map(({ key }) => ({ name: BAND_NAME[key], color: BAND_FILL[key] })) : []),
+    ruleLines && { name: 'Constant balance rule', color: '#0f766e' },
+    ruleLines && { name: 'Phased balance rule', color: '#0f766e', dashed: true },
+    ...pinned.map((s, i) => ({ name: s.name, color: PIN_COLORS[i % PIN_COLORS.length] })),
+  ].filter(Boolean);
+
+  const buildSvg = () => {
+    const chart = chartRef.current && chartRef.current.querySelector('.recharts-wrapper > svg');
+    if (!chart) return null;
+    return annotatedSvg({
+      chart: chart.outerHTML,
+      width: Number(chart.getAttribute('width')),
+      height: Number(chart.getAttribute('height')),
+      title: 'Debt-to-GDP projection',
+      legend: exportLegend(),
+      settings: exportSettings,
+      analysis: exportAnalysis,
+    });
+  };
+
+  const exportSVG = () => {
+    const built = buildSvg();
+    if (!built) return setExportError('The chart is not drawn yet.');
+    setExportError('');
+    downloadBlob(new Blob([built.svg], { type: 'image/svg+xml' }), 'debt-projection.svg');
+  };
+
+  const exportPNG = () => {
+    const built = buildSvg();
+    if (!built) return setExportError('The chart is not drawn yet.');
+    setExportError('');
+    svgToPng(built.svg, built.width, built.height)
+      .then(blob => downloadBlob(blob, 'debt-projection.png'))
+      .catch(err => setExportError(err.message));
+  };
+
   return (
     <div className="min-h-screen bg-[#F2F0E9] text-stone-800 font-sans selection:bg-stone-300 selection:text-stone-900">
       
@@ -84,15 +516,16 @@ const DebtSimulator = () => {
 
         {/* Chart Section */}
         <div className="bg-[#F2F0E9] border border-stone-300 rounded-sm p-4 md:p-8 mb-8 shadow-sm">
-          <div className="h-[400px] w-full">
+          <div ref={chartRef} className="h-[400px] w-full">
             <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={chartData} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
+              <ComposedChart data={plotData} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
                 <CartesianGrid strokeDasharray="3 3" stroke="#d6d3d1" vertical={false} />
                 <XAxis 
                   dataKey="year" 
                   stroke="#78716c"
                   tick={{ fill: '#78716c', fontSize: 12 }}
                   tickMargin={10}
+                  tickFormatter={yearLabel}
                 />
                 <YAxis 
                   domain={['auto', 'auto']}
@@ -103,81 +536,473 @@ const DebtSimulator = () => {
                 <Tooltip 
                   contentStyle={{ backgroundColor: '#F2F0E9', borderColor: '#d6d3d1', borderRadius: '4px', color: '#1c1917' }}
                   itemStyle={{ color: '#1c1917' }}
-                  formatter={(value) => [`${value}%`, 'Debt-to-GDP']}
-                  labelFormatter={(label) => `Year ${label}`}
+                  formatter={(value, name) => [Array.isArray(value) ? `${value[0]}% – ${value[1]}%` : `${value}%`, name]}
+                  labelFormatter={(label) => (history.length ? yearLabel(label) : `Year ${label}`)}
                 />
-                <ReferenceLine y={100} stroke="#ef4444" strokeDasharray="4 4" opacity={0.4} />
+                {simulation && FAN_BANDS.map(({ key }) => (
+                  <Area
+                    key={key}
+                    type="monotone"
+                    dataKey={key}
+                    name={BAND_NAME[key]}
+                    stroke="none"
+                    fill={BAND_FILL[key]}
+                    fillOpacity={0.8}
+                    isAnimationActive={false}
+                  />
+                ))}
+                <ReferenceLine y={stochastic ? Number(threshold) : 100} stroke="#ef4444" strokeDasharray="4 4" opacity={0.4} />
+                {(simulation || rule || pinned.length > 0 || history.length > 0) && (
+                  <Legend verticalAlign="top" height={32} iconSize={10} itemSorter={null} wrapperStyle={{ fontSize: 11, color: '#57534e' }} />
+                )}
+                {model.premium && (
+                  <ReferenceLine y={bstarEffective} stroke="#b45309" strokeDasharray="4 4" opacity={0.5} />
+                )}
+                {rule && (
+                  <ReferenceLine y={Number(target)} stroke="#0f766e" strokeDasharray="4 4" opacity={0.5} />
+                )}
+                {rule && (
+                  <ReferenceLine x={rule.horizon} stroke="#0f766e" strokeDasharray="2 4" opacity={0.5} />
+                )}
+                {ruleLines && (
+                  <Line 
+                    type="monotone" 
+                    dataKey="constantRule" 
+                    name="Constant balance rule"
+                    stroke="#0f766e" 
+                    strokeWidth={2}
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                )}
+                {ruleLines && (
+                  <Line 
+                    type="monotone" 
+                    dataKey="phasedRule" 
+                    name="Phased balance rule"
+                    stroke="#0f766e" 
+                    strokeWidth={2}
+                    strokeDasharray="6 3"
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                )}
+                {history.length > 0 && (
+                  <ReferenceLine x={0} stroke="#78716c" strokeDasharray="2 4" opacity={0.6} />
+                )}
+                {history.length > 0 && (
+                  <Line
+                    type="monotone"
+                    dataKey="history"
+                    name={`${country.name}, actual`}
+                    stroke="#78716c"
+                    strokeWidth={2}
+                    dot={{ r: 2, fill: '#78716c' }}
+                    connectNulls={false}
+                    isAnimationActive={false}
+                  />
+                )}
+                {pinned.map((s, i) => (
+                  <Line
+                    key={`${i}-${s.name}`}
+                    type="monotone"
+                    dataKey={`pin${i}`}
+                    name={s.name}
+                    stroke={PIN_COLORS[i % PIN_COLORS.length]}
+                    strokeWidth={1.75}
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                ))}
+                {simulation && (
+                  <ReferenceLine x={Number(breachYear)} stroke="#ef4444" strokeDasharray="2 4" opacity={0.4} />
+                )}
+                {simulation && (
+                  <Line 
+                    type="monotone" 
+                    dataKey="median" 
+                    name="Median path"
+                    stroke="#57534e" 
+                    strokeWidth={1.5}
+                    strokeDasharray="5 3"
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                )}
                 <Line 
                   type="monotone" 
                   dataKey="debt" 
+                  name={pinned.length ? 'Current settings' : 'Debt-to-GDP'}
                   stroke="#292524" 
                   strokeWidth={2.5}
                   dot={{ r: 0 }}
                   activeDot={{ r: 5, fill: '#292524' }} 
                   animationDuration={1500}
                 />
-              </LineChart>
+              </ComposedChart>
             </ResponsiveContainer>
           </div>
+
+          {maturityOn && (
+            <div className="h-[160px] w-full mt-6 border-t border-stone-300 pt-4">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData.slice(1)} margin={{ top: 5, right: 20, left: -20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#d6d3d1" vertical={false} />
+                  <XAxis 
+                    dataKey="year" 
+                    stroke="#78716c"
+                    tick={{ fill: '#78716c', fontSize: 12 }}
+                    tickMargin={10}
+                  />
+                  <YAxis 
+                    domain={['auto', 'auto']}
+                    stroke="#78716c"
+                    tick={{ fill: '#78716c', fontSize: 12 }}
+                    tickFormatter={(value) => `${value}%`}
+                  />
+                  <Tooltip 
+                    contentStyle={{ backgroundColor: '#F2F0E9', borderColor: '#d6d3d1', borderRadius: '4px', color: '#1c1917' }}
+                    itemStyle={{ color: '#1c1917' }}
+                    formatter={(value, name) => [`${value}%`, name]}
+                    labelFormatter={(label) => `Year ${label}`}
+                  />
+                  <Legend verticalAlign="top" height={28} iconSize={10} itemSorter={null} wrapperStyle={{ fontSize: 11, color: '#57534e' }} />
+                  <Line type="stepAfter" dataKey="market" name="Market rate" stroke="#a8a29e" strokeWidth={2} strokeDasharray="5 3" dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="rate" name="Effective rate on the stock" stroke="#292524" strokeWidth={2} dot={false} isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center justify-end gap-2 mt-6">
+            <span className="inline-flex items-center gap-1.5 text-xs font-mono text-stone-500 mr-1">
+              <Download size={14} /> Export
+            </span>
+            <button onClick={exportCSV} className={EXPORT_BUTTON}>CSV</button>
+            <button onClick={exportJSON} className={EXPORT_BUTTON}>JSON</button>
+            <button onClick={exportSVG} className={EXPORT_BUTTON}>SVG</button>
+            <button onClick={exportPNG} className={EXPORT_BUTTON}>PNG</button>
+            {exportError && <span className="basis-full text-right text-xs text-red-700">{exportError}</span>}
+          </div>
         </div>
 
         {/* Dynamic Summary Section */}
         <div className={`p-5 rounded-sm border-l-4 mb-12 text-sm leading-relaxed transition-colors duration-500 ${statusColor}`}>
           <strong className="font-semibold uppercase tracking-wider text-xs mr-2">Dynamic Analysis:</strong> 
           {summaryText}
+          {pathText && <p className="mt-3">{pathText}</p>}
+          {maturityText && <p className="mt-3">{maturityText}</p>}
+          {advancedText && <p className="mt-3">{advancedText}</p>}
+          {riskText && <p className="mt-3">{riskText}</p>}
+          {ruleText && <p className="mt-3">{ruleText}</p>}
         </div>
 
+        {/* Country Presets */}
+        {countries && (
+          <div className="flex flex-wrap items-center gap-x-6 gap-y-3 mb-10">
+            <label className="flex items-center gap-3 font-sans text-xs font-bold uppercase tracking-widest text-stone-500">
+              Country preset
+              <select
+                value={countryCode || ''}
+                onChange={(e) => pickCountry(e.target.value)}
+                className="font-mono normal-case tracking-normal font-normal text-sm text-stone-900 bg-transparent border border-stone-300 rounded-sm px-2 py-1.5 focus:outline-none focus:border-stone-700"
+              >
+                <option value="">Choose a country…</option>
+                {countries.countries.map(c => <option key={c.code} value={c.code}>{c.name}</option>)}
+              </select>
+            </label>
+            {country && country.history && (
+              <label className="flex items-center gap-2 text-xs font-mono text-stone-600">
+                <input type="checkbox" checked={showHistory} onChange={(e) => setShowHistory(e.target.checked)} className="accent-stone-700" />
+                Show debt since {country.history.start}
+              </label>
+            )}
+            {country && (
+              <p className="basis-full text-xs text-stone-500 max-w-2xl">
+                {country.name}, around {countries.asOf}: debt {country.debt}% of GDP, real effective interest rate {country.interestRate}%, real growth {country.growth}%, primary balance {country.primaryBalance}% of GDP. {countries.source}
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Controls Section */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-x-12 gap-y-8">
-          
-          <div className="group">
-            <div className="flex justify-between font-sans text-xs font-bold uppercase tracking-widest text-stone-500 mb-4 group-hover:text-stone-800 transition-colors">
-              <span>Initial Debt-to-GDP</span>
-              <span className="font-mono text-stone-900">{initialDebt}%</span>
+          <Control label="Initial Debt-to-GDP" value={initialDebt} min="0" max="300" step="1" onChange={setInitialDebt} />
+          <Control label="Interest Rate (r)" value={interestRate} display={offsets.interestRate ? `${interestRate}% + path` : undefined} min="-5" max="30" step="0.1" onChange={setInterestRate} />
+          <Control label="Economic Growth (g)" value={growthRate} display={offsets.growthRate ? `${growthRate}% + path` : undefined} min="-5" max="35" step="0.1" onChange={setGrowthRate} />
+          <Control label="Primary Deficit" value={primaryDeficit} display={offsets.primaryDeficit ? `${primaryDeficit}% + path` : undefined} min="-5" max="15" step="0.1" onChange={setPrimaryDeficit} />
+        </div>
+
+        {/* Compare Scenarios */}
+        <div className="mt-16 border-t border-stone-300 pt-8">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <div>
+              <h2 className="font-serif text-xl text-stone-900 mb-1">Compare Scenarios</h2>
+              <p className="text-sm text-stone-600 max-w-xl">
+                Pin the current settings under a name to keep them on the chart. The page&apos;s address carries every pinned scenario, so the link opens this exact comparison.
+              </p>
             </div>
-            <input 
-              type="range" min="0" max="250" step="1"
-              value={initialDebt} onChange={(e) => setInitialDebt(e.target.value)}
-              className="w-full accent-stone-700 h-1 bg-stone-200 rounded-lg appearance-none cursor-pointer"
+            <button
+              onClick={copyLink}
+              className="inline-flex items-center gap-2 text-xs font-mono px-3 py-2 border border-stone-300 rounded-sm text-stone-600 hover:text-stone-900 hover:border-stone-500 transition-colors"
+            >
+              <Link2 size={14} /> {copied ? 'Link copied' : 'Copy link'}
+            </button>
+          </div>
+
+          <div className="flex flex-wrap gap-2 mb-6">
+            <input
+              type="text"
+              value={pinName}
+              onChange={(e) => setPinName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') pinCurrent(); }}
+              placeholder={`Scenario ${pinned.length + 1}`}
+              maxLength={40}
+              aria-label="Name for the pinned scenario"
+              className="text-sm bg-transparent border border-stone-300 rounded-sm px-3 py-2 focus:outline-none focus:border-stone-700 w-56"
             />
+            <button
+              onClick={pinCurrent}
+              className="inline-flex items-center gap-2 text-xs font-mono px-3 py-2 border border-stone-300 rounded-sm text-stone-600 hover:text-stone-900 hover:border-stone-500 transition-colors"
+            >
+              <Pin size={14} /> Pin current settings
+            </button>
+            {pinned.length === 0 && (
+              <button
+                onClick={() => setPinned(EXAMPLE_SCENARIOS)}
+                className="text-xs font-mono px-3 py-2 border border-stone-300 rounded-sm text-stone-600 hover:text-stone-900 hover:border-stone-500 transition-colors"
+              >
+                Load the lecture example
+              </button>
+            )}
+          </div>
+
+          {pinned.length > 0 && (
+            <ul className="space-y-2">
+              {pinned.map((s, i) => (
+                <li key={`${i}-${s.name}`} className="flex items-center gap-3 text-sm">
+                  <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: PIN_COLORS[i % PIN_COLORS.length] }} />
+                  <span className="text-stone-900">{s.name}</span>
+                  <span className="font-mono text-xs text-stone-500">
+                    {s.initialDebt}% · r {s.interestRate}% · g {s.growthRate}% · deficit {s.primaryDeficit}%
+                    {!isFlat(s.offsets) && ' · paths'}
+                    {s.advanced && ' · advanced'}
+                  </span>
+                  <span className="ml-auto flex gap-2">
+                    <button
+                      onClick={() => loadScenario(s)}
+                      className="text-xs font-mono text-stone-500 hover:text-stone-900 transition-colors"
+                    >
+                      Load
+                    </button>
+                    <button
+                      onClick={() => setPinned(pinned.filter((_, j) => j !== i))}
+                      aria-label={`Remove ${s.name}`}
+                      className="text-stone-400 hover:text-stone-900 transition-colors"
+                    >
+                      <X size={14} />
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Year-by-Year Paths */}
+        <div className="mt-16 border-t border-stone-300 pt-8">
+          <div className="mb-6">
+            <h2 className="font-serif text-xl text-stone-900 mb-1">Year-by-Year Paths</h2>
+            <p className="text-sm text-stone-600 max-w-xl">
+              Start from a preset or type over any year. The sliders above set the level; the path keeps its shape when you move them.
+            </p>
           </div>
 
-          <div className="group">
-            <div className="flex justify-between font-sans text-xs font-bold uppercase tracking-widest text-stone-500 mb-4 group-hover:text-stone-800 transition-colors">
-              <span>Interest Rate (r)</span>
-              <span className="font-mono text-stone-900">{interestRate}%</span>
+          <div className="flex flex-wrap gap-2 mb-6">
+            {[CONSTANT, ...SCHEDULE_PRESETS].map(p => {
+              const active = p === CONSTANT ? isFlat(offsets) : preset === p.key;
+              return (
+                <button
+                  key={p.key}
+                  onClick={() => applyPreset(p.key)}
+                  title={p.description}
+                  aria-pressed={active}
+                  className={`text-xs font-mono px-3 py-2 border rounded-sm transition-colors ${active ? 'bg-stone-800 border-stone-800 text-stone-50' : 'border-stone-300 text-stone-600 hover:text-stone-900 hover:border-stone-500'}`}
+                >
+                  {p.label}
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="text-xs font-mono border-collapse">
+              <thead>
+                <tr className="text-stone-500">
+                  <th className="text-left font-normal pr-3 pb-2">Year</th>
+                  {YEARS.map(year => <th key={year} className="font-normal pb-2 px-0.5">{year}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {SCHEDULE_ROWS.map(row => (
+                  <tr key={row.key}>
+                    <th scope="row" className="text-left font-sans font-bold uppercase tracking-widest text-stone-500 pr-3 whitespace-nowrap">{row.label}</th>
+                    {schedule[row.key].map((value, i) => (
+                      <td key={i} className="px-0.5 py-0.5">
+                        <input
+                          type="number" step="0.1"
+                          value={drafts[`${row.key}:${i}`] ?? value}
+                          onChange={(e) => editYear(row.key, i, e.target.value)}
+                          onBlur={() => endEdit(row.key, i)}
+                          aria-label={`${row.label}, year ${i + 1}`}
+                          className={`w-12 bg-transparent border border-stone-300 rounded-sm px-1 py-0.5 text-right focus:outline-none focus:border-stone-700 ${offsets[row.key] && offsets[row.key][i] !== 0 ? 'text-stone-900 font-bold' : 'text-stone-500'}`}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Stochastic Mode */}
+        <div className="mt-16 border-t border-stone-300 pt-8">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+            <div>
+              <h2 className="font-serif text-xl text-stone-900 mb-1">Uncertainty</h2>
+              <p className="text-sm text-stone-600 max-w-xl">
+                Shock r, g and the deficit every year and draw thousands of paths. The shaded fan holds the middle 50%, 80% and 90% of outcomes.
+              </p>
+            </div>
+            <div className="flex gap-2">
+              {stochastic && (
+                <button
+                  onClick={() => setSeed(Math.floor(Math.random() * 0x7fffffff))}
+                  className="inline-flex items-center gap-2 text-xs font-mono px-3 py-2 border border-stone-300 rounded-sm text-stone-600 hover:text-stone-900 hover:border-stone-500 transition-colors"
+                >
+                  <Shuffle size={14} /> Redraw
+                </button>
+              )}
+              <button
+                onClick={() => setStochastic(!stochastic)}
+                aria-pressed={stochastic}
+                className={`text-xs font-mono px-3 py-2 border rounded-sm transition-colors ${stochastic ? 'bg-stone-800 border-stone-800 text-stone-50' : 'border-stone-300 text-stone-600 hover:text-stone-900 hover:border-stone-500'}`}
+              >
+                {stochastic ? 'Stochastic: on' : 'Stochastic: off'}
+              </button>
             </div>
-            <input 
-              type="range" min="0" max="15" step="0.5"
-              value={interestRate} onChange={(e) => setInterestRate(e.target.value)}
-              className="w-full accent-stone-700 h-1 bg-stone-200 rounded-lg appearance-none cursor-pointer"
-            />
           </div>
 
-          <div className="group">
-            <div className="flex justify-between font-sans text-xs font-bold uppercase tracking-widest text-stone-500 mb-4 group-hover:text-stone-800 transition-colors">
-              <span>Economic Growth (g)</span>
-              <span className="font-mono text-stone-900">{growthRate}%</span>
+          {stochastic && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-x-12 gap-y-8">
+              <Control label="Volatility of r" value={sdRate} display={`±${sdRate} pp`} min="0" max="5" step="0.25" onChange={setSdRate} />
+              <Control label="Volatility of g" value={sdGrowth} display={`±${sdGrowth} pp`} min="0" max="5" step="0.25" onChange={setSdGrowth} />
+              <Control label="Correlation of r and g" value={correlation} display={Number(correlation).toFixed(2)} min="-1" max="1" step="0.05" onChange={setCorrelation} />
+              <Control label="Deficit Shocks" value={sdDeficit} display={`±${sdDeficit} pp`} min="0" max="5" step="0.25" onChange={setSdDeficit} />
+              <Control label="Breach Threshold" value={threshold} min="30" max="250" step="5" onChange={setThreshold} />
+              <Control label="Breach By Year" value={breachYear} display={`Year ${breachYear}`} min="1" max={HORIZON} step="1" onChange={setBreachYear} />
+              <Control label="Simulated Paths" value={paths} display={Number(paths).toLocaleString()} min="1000" max="10000" step="1000" onChange={setPaths} />
             </div>
-            <input 
-              type="range" min="-5" max="10" step="0.5"
-              value={growthRate} onChange={(e) => setGrowthRate(e.target.value)}
-              className="w-full accent-stone-700 h-1 bg-stone-200 rounded-lg appearance-none cursor-pointer"
-            />
+          )}
+        </div>
+
+        {/* Debt Maturity */}
+        <div className="mt-16 border-t border-stone-300 pt-8">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+            <div>
+              <h2 className="font-serif text-xl text-stone-900 mb-1">Debt Maturity</h2>
+              <p className="text-sm text-stone-600 max-w-xl">
+                Only maturing debt is refinanced at the market rate, so a rate shock reaches the whole stock slowly. The rates chart under the projection shows the effective rate catching up.
+              </p>
+            </div>
+            <button
+              onClick={toggleMaturity}
+              aria-pressed={maturityOn}
+              className={`text-xs font-mono px-3 py-2 border rounded-sm transition-colors ${maturityOn ? 'bg-stone-800 border-stone-800 text-stone-50' : 'border-stone-300 text-stone-600 hover:text-stone-900 hover:border-stone-500'}`}
+            >
+              {maturityOn ? 'Maturity: on' : 'Maturity: off'}
+            </button>
           </div>
 
-          <div className="group">
-            <div className="flex justify-between font-sans text-xs font-bold uppercase tracking-widest text-stone-500 mb-4 group-hover:text-stone-800 transition-colors">
-              <span>Primary Deficit</span>
-              <span className="font-mono text-stone-900">{primaryDeficit}%</span>
+          {maturityOn && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-x-12 gap-y-8">
+              <Control label="Average Maturity" value={maturityYears} display={`${maturityYears} years`} min="1" max="30" step="0.5" onChange={setMaturityYears} />
+              <Control label="Effective Rate Today" value={effectiveToday} min="-5" max="30" step="0.1" onChange={setEffectiveToday} />
             </div>
-            <input 
-              type="range" min="-5" max="15" step="0.5"
-              value={primaryDeficit} onChange={(e) => setPrimaryDeficit(e.target.value)}
-              className="w-full accent-stone-700 h-1 bg-stone-200 rounded-lg appearance-none cursor-pointer"
-            />
+          )}
+        </div>
+
+        {/* Risk Premium & Foreign-Currency Debt */}
+        <div className="mt-16 border-t border-stone-300 pt-8">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+            <div>
+              <h2 className="font-serif text-xl text-stone-900 mb-1">Risk Premium &amp; Foreign-Currency Debt</h2>
+              <p className="text-sm text-stone-600 max-w-xl">
+                The Chancellor&apos;s Game engine over twenty years: lenders charge more as debt climbs past a threshold that credibility moves, and debt owed in foreign currency grows when the currency falls.
+              </p>
+            </div>
+            <button
+              onClick={() => setAdvanced(!advanced)}
+              aria-pressed={advanced}
+              className={`text-xs font-mono px-3 py-2 border rounded-sm transition-colors ${advanced ? 'bg-stone-800 border-stone-800 text-stone-50' : 'border-stone-300 text-stone-600 hover:text-stone-900 hover:border-stone-500'}`}
+            >
+              {advanced ? 'Advanced: on' : 'Advanced: off'}
+            </button>
+          </div>
+
+          {advanced && game && (
+            <div className="flex flex-wrap gap-2 mb-8">
+              {Object.entries(game.regimes).map(([key, R]) => (
+                <button
+                  key={key}
+                  onClick={() => applyRegime(key)}
+                  title={R.tag}
+                  aria-pressed={regime === key}
+                  className={`text-xs font-mono px-3 py-2 border rounded-sm transition-colors ${regime === key ? 'bg-stone-800 border-stone-800 text-stone-50' : 'border-stone-300 text-stone-600 hover:text-stone-900 hover:border-stone-500'}`}
+                >
+                  {R.name}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {advanced && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-x-12 gap-y-8">
+              <Control label="Premium Sensitivity (c)" value={spreadC} display={Number(spreadC).toFixed(4)} min="0" max="0.01" step="0.0001" onChange={setSpreadC} />
+              <Control label="Premium Threshold (b*)" value={bstar} display={`${bstar}% → ${bstarEffective}%`} min="30" max="200" step="1" onChange={setBstar} />
+              <Control label="Credibility" value={credibility} display={`${credibility}/100`} min="0" max="100" step="1" onChange={setCredibility} />
+              <Control label="Foreign-Currency Share" value={fxShare} min="0" max="100" step="5" onChange={setFxShare} />
+              <Control label="Depreciation per Year" value={depreciation} min="0" max="30" step="0.5" onChange={setDepreciation} />
+              <Control label="Year-1 Devaluation" value={devaluation} min="0" max="50" step="1" onChange={setDevaluation} />
+            </div>
+          )}
+        </div>
+
+        {/* Fiscal Rule Solver */}
+        <div className="mt-16 border-t border-stone-300 pt-8">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+            <div>
+              <h2 className="font-serif text-xl text-stone-900 mb-1">Fiscal Rule Solver</h2>
+              <p className="text-sm text-stone-600 max-w-xl">
+                Work backwards from a debt target: the primary balance that gets there by the chosen year, held constant or phased in from today.
+              </p>
+            </div>
+            <button
+              onClick={() => setSolver(!solver)}
+              aria-pressed={solver}
+              className={`text-xs font-mono px-3 py-2 border rounded-sm transition-colors ${solver ? 'bg-stone-800 border-stone-800 text-stone-50' : 'border-stone-300 text-stone-600 hover:text-stone-900 hover:border-stone-500'}`}
+            >
+              {solver ? 'Solver: on' : 'Solver: off'}
+            </button>
           </div>
 
+          {solver && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-x-12 gap-y-8">
+              <Control label="Target Debt-to-GDP" value={target} min="0" max="200" step="5" onChange={setTarget} />
+              <Control label="Reach It By" value={ruleHorizon} display={`Year ${ruleHorizon}`} min="1" max={HORIZON} step="1" onChange={setRuleHorizon} />
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,66 @@
+// Country presets for the DebtSimulator, read from
+// public/debt-simulator/countries.json. Each country gives its latest debt,
+// effective interest rate, growth and primary balance, and the debt path
+// that led there, which the chart can show before the projection starts.
+
+import { DEFAULT_SCENARIO } from './scenarioLink.js';
+
+const PRESET_NUMBERS = ['debt', 'interestRate', 'growth', 'primaryBalance'];
+
+const isNum = (x) => typeof x === 'number' && Number.isFinite(x);
+const isStr = (x) => typeof x === 'string' && x.length > 0;
+
+// The presets file, checked; throws with every problem at once
+export function validateCountries(data) {
+  const errs = [];
+  const need = (ok, msg) => { if (!ok) errs.push(msg); return ok; };
+  if (!need(data && typeof data === 'object', 'not a presets object')) throw new Error(errs[0]);
+  need(Number.isInteger(data.asOf), 'asOf must be a year');
+  if (need(Array.isArray(data.countries) && data.countries.length > 0, 'countries must list at least one country')) {
+    const codes = new Set();
+    data.countries.forEach((c, i) => {
+      const at = `countries[${i}]`;
+      if (!need(c && typeof c === 'object', `${at} must be an object`)) return;
+      need(isStr(c.code) && !codes.has(c.code), `${at}.code must be a unique non-empty string`);
+      codes.add(c.code);
+      need(isStr(c.name), `${at}.name must be a non-empty string`);
+      PRESET_NUMBERS.forEach(f => need(isNum(c[f]), `${at}.${f} must be a number`));
+      if (c.maturity !== undefined) need(isNum(c.maturity) && c.maturity >= 1, `${at}.maturity must be a number of years, at least 1`);
+      if (c.history === undefined) return;
+      const h = c.history;
+      if (!need(h && Number.isInteger(h.start) && Array.isArray(h.debt) && h.debt.every(isNum), `${at}.history needs a start year and a list of debt figures`)) return;
+      need(h.start + h.debt.length - 1 === data.asOf, `${at}.history must run to ${data.asOf}`);
+      need(h.debt[h.debt.length - 1] === c.debt, `${at}.history must end at the country's debt`);
+    });
+  }
+  if (errs.length) throw new Error(`country presets: ${errs.join('; ')}`);
+  return data;
+}
+
+export async function loadCountries(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`country presets ${url} not found`);
+  return validateCountries(await res.json());
+}
+
+// A country as simulator settings: the sliders at its figures, flat paths,
+// its maturity profile when the file gives one, and the advanced panel off
+export function countryScenario(country) {
+  return {
+    ...DEFAULT_SCENARIO,
+    name: country.name,
+    initialDebt: country.debt,
+    interestRate: country.interestRate,
+    growthRate: country.growth,
+    primaryDeficit: -country.primaryBalance,
+    maturity: country.maturity ? { years: country.maturity, effectiveRate: country.interestRate } : null,
+  };
+}
+
+// The country's past as chart points before year 0 of the projection:
+// year -k is k years before `asOf`
+export function historyPoints(country, asOf) {
+  if (!country.history) return [];
+  const { start, debt } = country.history;
+  return debt.map((value, i) => ({ year: start + i - asOf, history: value }));
+}
@@ -0,0 +1,347 @@
+// Debt dynamics behind the DebtSimulator, kept free of React so the
+// projections can be tested on their own.
+//
+// The recursion is the usual one, in percent of GDP:
+//   Debt(t) = Debt(t-1) * ((1 + r) / (1 + g)) + PrimaryDeficit
+//
+// r, g and the deficit may each be one number for every year or a schedule:
+// an array whose entry t-1 applies in year t.
+//
+// Two optional extras carry over the Chancellor engine's terms
+// (public/chancellor/engine.js), both driven by last year's debt:
+//   premium       {c, bstar}: lenders add c·(Debt − bstar)² points to r once
+//                 debt is past bstar — the engine's convex spread
+//   fxShare       the share of the debt owed in foreign currency, so that a
+//   depreciation  depreciation of de% adds fxShare·de% of the stock — the
+//                 engine's f·de revaluation; depreciation may be a schedule
+//
+// and a maturity profile, so that a change in the market rate reaches the
+// debt only as it is refinanced:
+//   maturity       the average maturity in years: each year 1/maturity of
+//                  the stock rolls over, and the effective rate on the whole
+//                  stock closes that share of its gap to the market rate
+//                  (r plus any premium)
+//   effectiveRate  the effective rate on the existing stock in year 0;
+//                  without one it starts at year 1's market rate
+// Without a maturity the whole stock reprices every year, as above.
+
+export const HORIZON = 20;
+
+// The bands of the fan chart, outermost first: each pairs a lower and an
+// upper percentile of the simulated debt paths.
+export const FAN_BANDS = [
+  { key: 'p5_95', lo: 5, hi: 95 },
+  { key: 'p10_90', lo: 10, hi: 90 },
+  { key: 'p25_75', lo: 25, hi: 75 },
+];
+
+// Past this the market has shut anyway; the cap keeps runaway paths on the chart
+export const MAX_SPREAD = 30;
+
+// The fiscal rule solver looks for balances this far either side of zero, in
+// % of GDP; a target that needs more than that is out of reach
+export const MAX_BALANCE = 200;
+
+// a parameter as one number per year; a short schedule holds its last value
+export function series(value, years = HORIZON) {
+  return Array.from({ length: years }, (_, i) =>
+    Number(Array.isArray(value) ? value[Math.min(i, value.length - 1)] : value));
+}
+
+// the risk premium, in points on r, that lenders charge on `debt`
+export function riskSpread(debt, premium) {
+  if (!premium) return 0;
+  return Math.min(MAX_SPREAD, Number(premium.c) * Math.max(0, debt - Number(premium.bstar)) ** 2);
+}
+
+// The recursion for the given inputs, one path at a time: start(debt)
+// begins a path and its step(i) moves it through year i + 1, optionally with
+// shocks to r, g and the deficit, and with the deficit replaced when a
+// solver is trying one out. Each step reports the year's debt, the market
+// rate, the effective rate charged, and the premium and depreciation terms.
+function dynamics({
+  interestRate, growthRate, primaryDeficit, premium, fxShare = 0, depreciation = 0, maturity, effectiveRate,
+}, years) {
+  const r = series(interestRate, years), g = series(growthRate, years), p = series(primaryDeficit, years);
+  const de = series(depreciation, years), f = Number(fxShare);
+  const rollover = maturity ? Math.min(1, 1 / Number(maturity)) : 1;
+  const start = (initialDebt) => {
+    let debt = Number(initialDebt);
+    let effective = maturity && effectiveRate !== undefined && effectiveRate !== null ? Number(effectiveRate) : null;
+    return {
+      step(i, { dr = 0, dg = 0, dp = 0, deficit = p[i] } = {}) {
+        const spread = riskSpread(debt, premium);
+        const market = r[i] + dr + spread;
+        effective = effective === null ? market : effective + rollover * (market - effective);
+        const fx = f * de[i] / 100 * debt;
+        debt = debt * ((1 + effective / 100) / (1 + (g[i] + dg) / 100)) + deficit + dp + fx;
+        return { debt, market, rate: effective, spread, fx };
+      },
+    };
+  };
+  return { r, g, p, start };
+}
+
+// The deterministic path: one point per year from 0 to the horizon. Points
+// from year 1 also carry `rate`, the effective interest rate charged that
+// year, and `market`, the rate new debt is issued at (the same without a
+// maturity profile); with a premium, `spread`, the part of the market rate
+// the premium added; and with foreign-currency debt, `fx`, the points of
+// GDP the depreciation added.
+export function projectDebt({ initialDebt, years = HORIZON, ...inputs }) {
+  const path = dynamics(inputs, years).start(initialDebt);
+  const data = [{ year: 0, debt: round1(Number(initialDebt)) }];
+  for (let year = 1; year <= years; year++) {
+    const { debt, market, rate, spread, fx } = path.step(year - 1);
+    const point = { year };
+    if (inputs.premium) point.spread = round2(spread);
+    if (Number(inputs.fxShare || 0)) point.fx = round2(fx);
+    point.rate = round2(rate);
+    point.market = round2(market);
+    point.debt = round1(debt);
+    data.push(point);
+  }
+  return data;
+}
+
+// The engine's credibility-adjusted threshold: bstar + (credibility − 50)·KAPPA
+export function effectiveThreshold(bstar, credibility, kappa) {
+  return round1(Number(bstar) + (Number(credibility) - 50) * kappa);
+}
+
+// The projection inputs for a scenario as the DebtSimulator holds one: the
+// four slider values, their schedule offsets (null while flat), the
+// maturity profile ({years, effectiveRate}, null while every year reprices;
+// without an effectiveRate the stock starts at the interest rate, as a
+// country preset's does) and the advanced panel's settings (null while it
+// is off) with fxShare in percent and the year-1 devaluation on top of the
+// steady depreciation.
+export function scenarioModel({ initialDebt, interestRate, growthRate, primaryDeficit, offsets, maturity, advanced }, kappa) {
+  const model = {
+    initialDebt: Number(initialDebt),
+    interestRate: applyOffsets(interestRate, offsets && offsets.interestRate),
+    growthRate: applyOffsets(growthRate, offsets && offsets.growthRate),
+    primaryDeficit: applyOffsets(primaryDeficit, offsets && offsets.primaryDeficit),
+    ...(maturity && { maturity: Number(maturity.years), effectiveRate: Number(maturity.effectiveRate ?? interestRate) }),
+  };
+  if (!advanced) return model;
+  const { c, bstar, credibility, fxShare, depreciation, devaluation } = advanced;
+  return {
+    ...model,
+    premium: Number(c) > 0 ? { c: Number(c), bstar: effectiveThreshold(bstar, credibility, kappa) } : null,
+    fxShare: Number(fxShare) / 100,
+    depreciation: [Number(depreciation) + Number(devaluation), Number(depreciation)],
+  };
+}
+
+// The DebtSimulator's reading of a Chancellor regime (scenario.regimes[k]).
+// The game's snowball is i − π − g, so growth here is nominal, g + π, and
+// the premium's threshold is the engine's credibility-adjusted bstar with
+// the scenario's KAPPA. Depreciation starts at zero: like the game's `de`,
+// it is the surprise on top of what the interest rate already prices in.
+export function regimePreset(R, kappa) {
+  return {
+    initialDebt: R.b,
+    interestRate: R.ibase,
+    growthRate: round2(R.g + R.pi),
+    primaryDeficit: R.d,
+    c: R.c,
+    bstar: R.bstar,
+    credibility: R.cred,
+    bstarEffective: effectiveThreshold(R.bstar, R.cred, kappa),
+    fxShare: R.f,
+  };
+}
+
+// The schedules' starting shapes, each built from the slider values as
+// offsets (in percentage points) from them year by year. A parameter a
+// preset leaves out stays flat.
+export const SCHEDULE_PRESETS = [
+  {
+    key: 'shock',
+    label: 'Temporary rate shock',
+    description: 'r jumps 3 points in year 1 and the jump halves every two years.',
+    build: (base, years = HORIZON) => ({
+      interestRate: Array.from({ length: years }, (_, i) => round2(3 * 0.5 ** (i / 2))),
+    }),
+  },
+  {
+    key: 'consolidation',
+    label: 'Gradual consolidation',
+    description: 'The primary deficit is cut by 0.75 points a year for four years, then held.',
+    build: (base, years = HORIZON) => ({
+      primaryDeficit: Array.from({ length: years }, (_, i) => -0.75 * Math.min(i + 1, 4)),
+    }),
+  },
+  {
+    key: 'reversion',
+    label: 'Mean reversion',
+    description: 'r, g and the deficit close 30% of their gap to 3%, 2% and balance each year.',
+    build: (base, years = HORIZON) => {
+      const revert = (from, to) => Array.from({ length: years }, (_, i) => round2((to - from) * (1 - 0.7 ** (i + 1))));
+      return {
+        interestRate: revert(Number(base.interestRate), 3),
+        growthRate: revert(Number(base.growthRate), 2),
+        primaryDeficit: revert(Number(base.primaryDeficit), 0),
+      };
+    },
+  },
+];
+
+// a slider value moved year by year by its offsets (or left alone without any)
+export function applyOffsets(base, offsets) {
+  return offsets ? offsets.map(d => round2(Number(base) + d)) : Number(base);
+}
+
+// true when no schedule moves any year away from its slider
+export function isFlat(offsets) {
+  return Object.values(offsets || {}).every(o => !o || o.every(d => d === 0));
+}
+
+// r − g in each year, in percentage points
+export function interestGrowthGap(interestRate, growthRate, years = HORIZON) {
+  const r = series(interestRate, years), g = series(growthRate, years);
+  return r.map((x, i) => round2(x - g[i]));
+}
+
+// The primary balance (surplus, in % of GDP) that holds `debt` where it is
+// for a year at rates r and g
+export function stabilisingBalance(debt, r, g) {
+  return round2(Number(debt) * (Number(r) - Number(g)) / (100 + Number(g)));
+}
+
+// The fiscal rule solver, for the primary deficit that brings debt to
+// `target` in year `horizon`:
+//   constant  one primary balance held from year 1
+//   phased    the balance moves in equal steps from the current deficit's
+//             year-1 value to the level it reaches in year H
+// Both hold their year-H balance after the horizon. Debt in year H rises
+// with every deficit before it, so each solves by bisection — the risk
+// premium makes the recursion nonlinear, and there is no closed form then.
+// When not even ±MAX_BALANCE brings debt to the target, the result is
+// flagged unreachable and carries no paths.
+// Balances are surpluses; the deficit paths they come with are for projectDebt.
+export function solveFiscalRule({ initialDebt, target, horizon, years = HORIZON, ...inputs }) {
+  const { start: begin, p } = dynamics(inputs, years);
+  const H = Math.max(1, Math.min(years, Math.round(Number(horizon))));
+  const b0 = Number(initialDebt);
+  const debtAt = (deficitIn) => {
+    const path = begin(b0);
+    let debt = b0;
+    for (let i = 0; i < H; i++) debt = path.step(i, { deficit: deficitIn(i) }).debt;
+    return debt;
+  };
+  const solve = (deficitIn) => {
+    let lo = -MAX_BALANCE, hi = MAX_BALANCE;
+    if (debtAt(i => deficitIn(i, lo)) > Number(target) || debtAt(i => deficitIn(i, hi)) < Number(target)) return null;
+    for (let k = 0; k < 100; k++) {
+      const mid = (lo + hi) / 2;
+      if (debtAt(i => deficitIn(i, mid)) < Number(target)) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+  };
+
+  const stabilising = round2(begin(b0).step(0, { deficit: 0 }).debt - b0);
+  const constant = solve((i, x) => x);
+  // with a one-year horizon there is no room to phase anything in
+  const start = H > 1 ? p[0] : constant;
+  const slope = constant === null ? null : H > 1 ? solve((i, x) => start + x * i) : 0;
+  if (slope === null) return { horizon: H, stabilising, unreachable: true, constant: null, phased: null };
+  const phasedAt = (i) => start + slope * Math.min(i, H - 1);
+
+  return {
+    horizon: H,
+    stabilising,
+    unreachable: false,
+    constant: { balance: round2(-constant), deficit: new Array(years).fill(constant) },
+    phased: {
+      start: round2(-start),
+      end: round2(-phasedAt(H - 1)),
+      deficit: Array.from({ length: years }, (_, i) => phasedAt(i)),
+    },
+  };
+}
+
+// mulberry32, so a fan drawn from the same seed is the same fan on every machine
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// a standard normal, by Box–Muller
+function normal(rng) {
+  const u = 1 - rng(), v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// the q-th percentile of an ascending array, interpolating between ranks
+export function percentile(sorted, q) {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * q / 100, lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Monte Carlo paths around the deterministic projection. Each year r and g
+// are drawn from a bivariate normal (volatilities sdRate and sdGrowth, in
+// percentage points, with correlation `correlation`) and the primary deficit
+// takes an independent shock of sdDeficit points.
+//
+// Returns the fan — a point per year with the median and a [lower, upper]
+// pair for each of FAN_BANDS — and breach[t], the share of paths that have
+// been above `threshold` in some year up to and including t.
+export function simulateFan({
+  initialDebt,
+  sdRate = 0, sdGrowth = 0, correlation = 0, sdDeficit = 0,
+  paths = 5000, threshold = 100, seed = 1, years = HORIZON,
+  ...inputs
+}) {
+  const { start } = dynamics(inputs, years);
+  const sr = Number(sdRate), sg = Number(sdGrowth), sd = Number(sdDeficit);
+  const rho = Math.max(-1, Math.min(1, Number(correlation)));
+  const rhoPerp = Math.sqrt(1 - rho * rho);
+  const b0 = Number(initialDebt), cap = Number(threshold);
+  const rng = mulberry32(seed);
+
+  // debt[t][j] is path j in year t
+  const debt = Array.from({ length: years + 1 }, () => new Float64Array(paths));
+  const breached = new Uint8Array(paths);
+  const breachCount = new Array(years + 1).fill(0);
+
+  for (let j = 0; j < paths; j++) {
+    const path = start(b0);
+    let b = b0;
+    for (let t = 0; t <= years; t++) {
+      if (t > 0) {
+        const z1 = normal(rng), z2 = normal(rng), z3 = normal(rng);
+        b = path.step(t - 1, { dr: sr * z1, dg: sg * (rho * z1 + rhoPerp * z2), dp: sd * z3 }).debt;
+      }
+      debt[t][j] = b;
+      if (b > cap) breached[j] = 1;
+      breachCount[t] += breached[j];
+    }
+  }
+
+  const fan = debt.map((row, year) => {
+    const sorted = row.slice().sort();
+    const point = { year, median: round1(percentile(sorted, 50)) };
+    FAN_BANDS.forEach(({ key, lo, hi }) => {
+      point[key] = [round1(percentile(sorted, lo)), round1(percentile(sorted, hi))];
+    });
+    return point;
+  });
+  return { fan, breach: breachCount.map(n => n / paths) };
+}
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
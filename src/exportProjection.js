@@ -0,0 +1,136 @@
+// Exports from the DebtSimulator, all built in the browser: the projection
+// table as CSV or JSON, and the chart as an SVG (or a PNG drawn from it)
+// with the settings and the analysis written underneath.
+
+// The table behind the chart. `labels` names the columns to keep, in
+// order; a column shows up only if some row has a value for it, and a
+// [low, high] pair (a fan band) splits into two columns.
+export function projectionTable(rows, labels) {
+  const keys = Object.keys(labels).filter(key => rows.some(row => row[key] !== undefined && row[key] !== null));
+  const columns = keys.flatMap(key => {
+    const pair = rows.some(row => Array.isArray(row[key]));
+    return pair
+      ? [{ key, index: 0, label: `${labels[key]} (low)` }, { key, index: 1, label: `${labels[key]} (high)` }]
+      : [{ key, label: labels[key] }];
+  });
+  const cells = rows.map(row => columns.map(({ key, index }) => {
+    const value = row[key];
+    if (value === undefined || value === null) return null;
+    return index === undefined ? value : value[index];
+  }));
+  return { columns: columns.map(c => c.label), rows: cells };
+}
+
+// A pinned scenario's name heads a column; one starting =, +, - or @ would
+// run as a formula in a spreadsheet, so it gets a leading ' to stay text.
+// Numbers, negative ones included, are left as they are.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCSV({ columns, rows }) {
+  return [columns, ...rows].map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Splits a paragraph into lines of at most `width` characters, at spaces
+export function wrapText(text, width) {
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    if (line && line.length + 1 + word.length > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+
+// A standalone SVG: the title, the chart's own SVG markup (`width` by
+// `height`), a legend of its series ({name, color, dashed}), then the
+// settings and the analysis. Returns the markup with its full size.
+export function annotatedSvg({ chart, width: chartWidth, height, title, legend = [], settings = [], analysis = [] }) {
+  const pad = 24, line = 16, width = chartWidth + 2 * pad, charsPerLine = Math.floor(chartWidth / 6.4);
+  const parts = [];
+  let y = pad + 14;
+  parts.push(`<text x="${pad}" y="${y}" font-size="16" font-family="Georgia, serif" fill="#1c1917">${escapeXml(title)}</text>`);
+  y += 14;
+  parts.push(`<g transform="translate(${pad} ${y})">${chart}</g>`);
+  y += height + 8;
+
+  let x = pad;
+  legend.forEach(({ name, color, dashed }) => {
+    const label = escapeXml(name);
+    parts.push(`<line x1="${x}" y1="${y + 4}" x2="${x + 16}" y2="${y + 4}" stroke="${color}" stroke-width="2"${dashed ? ' stroke-dasharray="4 2"' : ''}/>`);
+    parts.push(`<text x="${x + 22}" y="${y + 8}" font-size="11" fill="#57534e">${label}</text>`);
+    x += 22 + name.length * 6 + 18;
+    if (x > width - 160) { x = pad; y += line; }
+  });
+  if (legend.length) y += line + 8;
+
+  settings.forEach(text => {
+    wrapText(text, charsPerLine).forEach(l => {
+      parts.push(`<text x="${pad}" y="${y}" font-size="11" font-family="ui-monospace, monospace" fill="#57534e">${escapeXml(l)}</text>`);
+      y += line;
+    });
+  });
+  if (settings.length) y += 8;
+
+  if (analysis.length) {
+    parts.push(`<text x="${pad}" y="${y}" font-size="10" font-weight="600" letter-spacing="1" fill="#1c1917">DYNAMIC ANALYSIS</text>`);
+    y += line;
+  }
+  analysis.forEach(paragraph => {
+    wrapText(paragraph, charsPerLine).forEach(l => {
+      parts.push(`<text x="${pad}" y="${y}" font-size="12" fill="#1c1917">${escapeXml(l)}</text>`);
+      y += line;
+    });
+    y += 6;
+  });
+
+  const total = y + pad;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${total}" viewBox="0 0 ${width} ${total}" font-family="system-ui, sans-serif">`
+    + `<rect width="100%" height="100%" fill="#F2F0E9"/>${parts.join('')}</svg>`;
+  return { svg, width, height: total };
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Draws an SVG string onto a canvas at `scale` and hands back a PNG blob
+export function svgToPng(svg, width, height, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG export failed'))), 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('PNG export failed'));
+    };
+    img.src = url;
+  });
+}
@@ -0,0 +1,116 @@
+// Scenarios for the DebtSimulator's comparison view, and the query string
+// that carries them, so a link in a slide or an email opens the same
+// comparison. A scenario is what scenarioModel (./debtDynamics) reads, plus
+// a name.
+//
+// Each scenario is one compact string of `~`-separated sections:
+//   <name>~<debt>,<r>,<g>,<deficit>[~r:<offsets>][~g:<offsets>][~d:<offsets>][~m:<maturity>][~x:<advanced>]
+// where offsets are the schedule's year-by-year offsets, `;`-separated,
+// maturity is years,effectiveRate, and advanced is
+// c,bstar,credibility,fxShare,depreciation,devaluation. The
+// current settings go in `s` and every pinned scenario in a `p` of its own.
+
+import { HORIZON, SCHEDULE_PRESETS } from './debtDynamics.js';
+
+export const MAX_PINNED = 6;
+
+const FLAT = { interestRate: null, growthRate: null, primaryDeficit: null };
+const SCHEDULE_TAGS = { interestRate: 'r', growthRate: 'g', primaryDeficit: 'd' };
+const ADVANCED_KEYS = ['c', 'bstar', 'credibility', 'fxShare', 'depreciation', 'devaluation'];
+
+// Standard UK-style figures: where the simulator starts
+export const DEFAULT_SCENARIO = {
+  name: 'UK baseline',
+  initialDebt: 100,
+  interestRate: 4,
+  growthRate: 2,
+  primaryDeficit: 2,
+  offsets: FLAT,
+  maturity: null,
+  advanced: null,
+};
+
+// The comparison the lecture starts from
+export const EXAMPLE_SCENARIOS = [
+  DEFAULT_SCENARIO,
+  { ...DEFAULT_SCENARIO, name: 'Higher rates', interestRate: 6 },
+  {
+    ...DEFAULT_SCENARIO,
+    name: 'Austerity',
+    offsets: { ...FLAT, ...SCHEDULE_PRESETS.find(p => p.key === 'consolidation').build(DEFAULT_SCENARIO) },
+  },
+];
+
+// Names lose the separator and are kept short enough to sit in a legend
+export function cleanName(name) {
+  return String(name || '').replace(/~/g, '-').trim().slice(0, 40);
+}
+
+const num = (x) => Number(Number(x).toFixed(4));
+
+export function encodeScenario(scenario) {
+  const sections = [
+    cleanName(scenario.name),
+    [scenario.initialDebt, scenario.interestRate, scenario.growthRate, scenario.primaryDeficit].map(num).join(','),
+  ];
+  Object.entries(SCHEDULE_TAGS).forEach(([key, tag]) => {
+    const offsets = scenario.offsets && scenario.offsets[key];
+    if (offsets) sections.push(`${tag}:${offsets.map(num).join(';')}`);
+  });
+  if (scenario.maturity) sections.push(`m:${num(scenario.maturity.years)},${num(scenario.maturity.effectiveRate)}`);
+  if (scenario.advanced) sections.push(`x:${ADVANCED_KEYS.map(k => num(scenario.advanced[k])).join(',')}`);
+  return sections.join('~');
+}
+
+// the numbers in a list, or null if any of them is not one
+function numbers(text, separator, min, max) {
+  const list = text.split(separator).map(Number);
+  const ok = list.length >= min && list.length <= max && list.every(Number.isFinite);
+  return ok ? list : null;
+}
+
+// A scenario back from its string, or null when the string is not one
+export function decodeScenario(text) {
+  const [name, core, ...rest] = String(text).split('~');
+  const base = core !== undefined && numbers(core, ',', 4, 4);
+  if (!base) return null;
+  const [initialDebt, interestRate, growthRate, primaryDeficit] = base;
+  const scenario = { name: cleanName(name), initialDebt, interestRate, growthRate, primaryDeficit, offsets: { ...FLAT }, maturity: null, advanced: null };
+  for (const section of rest) {
+    const [tag, body = ''] = section.split(':');
+    const key = Object.keys(SCHEDULE_TAGS).find(k => SCHEDULE_TAGS[k] === tag);
+    if (key) {
+      const offsets = numbers(body, ';', 1, HORIZON);
+      if (!offsets) return null;
+      scenario.offsets[key] = offsets.concat(new Array(HORIZON - offsets.length).fill(offsets[offsets.length - 1]));
+    } else if (tag === 'm') {
+      const values = numbers(body, ',', 2, 2);
+      if (!values || values[0] < 1) return null;
+      scenario.maturity = { years: values[0], effectiveRate: values[1] };
+    } else if (tag === 'x') {
+      const values = numbers(body, ',', ADVANCED_KEYS.length, ADVANCED_KEYS.length);
+      if (!values) return null;
+      scenario.advanced = Object.fromEntries(ADVANCED_KEYS.map((k, i) => [k, values[i]]));
+    }
+  }
+  return scenario;
+}
+
+// The query for the current settings and the pinned scenarios. The default
+// settings on their own need no query at all.
+export function scenariosToQuery(current, pinned = []) {
+  const params = new URLSearchParams();
+  const encoded = encodeScenario({ ...current, name: '' });
+  if (encoded !== encodeScenario({ ...DEFAULT_SCENARIO, name: '' }) || pinned.length) params.set('s', encoded);
+  pinned.forEach(s => params.append('p', encodeScenario(s)));
+  return params;
+}
+
+// What a query asks for: current is null without one, and a pinned
+// scenario that does not decode is dropped rather than failing the link
+export function scenariosFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const current = params.has('s') ? decodeScenario(params.get('s')) : null;
+  const pinned = params.getAll('p').map(decodeScenario).filter(Boolean).slice(0, MAX_PINNED);
+  return { current, pinned };
+}
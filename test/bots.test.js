@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from '../public/chancellor/engine.js';
+import { optimise, playPolicy } from '../public/chancellor/calibrate.js';
+import { STRATEGY_KEYS, createBot, lockTime } from '../public/chancellor/bots.js';
+import { loadDefaultScenario } from './helpers.js';
+
+const scenario = await loadDefaultScenario();
+const E = createEngine(scenario);
+
+/* a bot playing a whole game on its own, with the given desk picks as its peers */
+function playBot(bot, k, peers = () => []) {
+  const s = E.freshState(k), picks = [];
+  for (let r = 1; r <= E.N; r++) {
+    const pick = bot.pick(r, s, peers(r));
+    picks.push(pick);
+    E.stepState(s, k, r, E.deltaFor(k, r, pick));
+  }
+  return { picks, state: s };
+}
+
+test('every strategy sends a pick a phone could have sent', () => {
+  for (const strategy of STRATEGY_KEYS) {
+    for (const k of E.REG_KEYS) {
+      const { picks } = playBot(createBot(E, strategy, k), k, () => [0.3, 0.6]);
+      picks.forEach((p, i) => {
+        if (E.KIND[i] === 'slider') assert.ok(p >= 0 && p <= 1, `${strategy} ${k} round ${i + 1}`);
+        else assert.ok(p === 0 || p === 1, `${strategy} ${k} round ${i + 1}`);
+      });
+    }
+  }
+  assert.throws(() => createBot(E, 'lucky', 'FlexIT'), /unknown bot strategy/);
+});
+
+test('the optimal bot ends no worse than the calibrated optimum, and beats the simple rules', () => {
+  for (const k of E.REG_KEYS) {
+    const best = playBot(createBot(E, 'optimal', k), k).state;
+    assert.ok(best.b <= playPolicy(E, k, optimise(E, k).rounded).b + 0.5, k);
+    for (const strategy of ['prudent', 'risky']) {
+      const other = playBot(createBot(E, strategy, k), k).state;
+      assert.ok(!best.crisis && (other.crisis || best.b <= other.b), `${k} vs ${strategy}`);
+    }
+  }
+});
+
+test('the myopic bot takes whatever leaves the least debt this round', () => {
+  const bot = createBot(E, 'myopic', 'Eurozone');
+  const s = E.freshState('Eurozone');
+  const pick = bot.pick(1, s);
+  const after = v => E.stepState({ ...s, hist: s.hist.slice() }, 'Eurozone', 1, E.deltaFor('Eurozone', 1, v)).b;
+  for (let v = 0; v <= 1; v += 0.1) assert.ok(after(pick) <= after(v) + 1e-9);
+  assert.equal(s.hist.length, 1, 'lookahead must not move the real state');
+});
+
+test('prudent and risky are fixed rules; the imitator follows its desk', () => {
+  const prudent = createBot(E, 'prudent', 'FlexIT'), risky = createBot(E, 'risky', 'FlexIT');
+  assert.deepEqual(E.KIND.map((_, i) => prudent.pick(i + 1)), [0.5, 0, 0.5, 0]);
+  assert.deepEqual(E.KIND.map((_, i) => risky.pick(i + 1)), [1, 1, 1, 1]);
+
+  const still = createBot(E, 'imitator', 'FlexIT', { rng: () => 0.5 });
+  assert.equal(still.pick(1, null, [0.2, 0.8, 0.7]), 0.7);
+  assert.equal(still.pick(2, null, [1, 1, 0]), 1);
+  assert.equal(still.pick(1, null, []), E.defaultPick(1));
+  /* the noise is bounded */
+  const jumpy = createBot(E, 'imitator', 'FlexIT', { rng: () => 0.999 });
+  assert.ok(Math.abs(jumpy.pick(1, null, [0.4]) - 0.4) <= 0.12 + 1e-9);
+
+  assert.ok(lockTime('imitator', () => 0) > lockTime('optimal', () => 1));
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from '../public/chancellor/engine.js';
+import {
+  optimise, crisisFree, sensitivity, calibrate, exportValues, applyCalibration, playPolicy,
+} from '../public/chancellor/calibrate.js';
+import { loadDefaultScenario } from './helpers.js';
+
+const scenario = await loadDefaultScenario();
+const engine = createEngine(scenario);
+
+test('the default scenario\'s sweet spots and debrief bases come out of the engine', () => {
+  const { opt, base } = exportValues(engine, calibrate(scenario));
+  assert.deepEqual(opt, scenario.calibration.opt);
+  for (const [k, f] of Object.entries(scenario.debrief.features)) assert.deepEqual(base[k], f.base, k);
+});
+
+test('the optimum beats every point of a coarse grid', () => {
+  const o = optimise(engine, 'EM_FX');
+  assert.equal(o.crisis, false);
+  for (const v1 of [0, 0.25, 0.5, 0.75, 1]) {
+    for (const v3 of [0, 0.5, 1]) {
+      for (const b of [0, 1]) {
+        const s = playPolicy(engine, 'EM_FX', [v1, b, v3, b]);
+        assert.ok(s.crisis || s.b >= o.final - 1e-9, `${v1},${b},${v3}`);
+      }
+    }
+  }
+});
+
+test('the crisis-free span contains the optimum and nothing in it crosses the line', () => {
+  const o = optimise(engine, 'EM_FX');
+  crisisFree(engine, 'EM_FX', o.picks).filter(f => f.kind === 'slider').forEach(f => {
+    const [lo, hi] = f.span;
+    assert.ok(lo <= o.picks[f.round - 1] && o.picks[f.round - 1] <= hi);
+    f.runs.filter(r => r.v >= lo && r.v <= hi).forEach(r => assert.equal(r.crisis, false));
+  });
+});
+
+test('a steeper risk premium raises the dollar borrower\'s best reachable debt', () => {
+  const rows = sensitivity(scenario, 'EM_FX', 'c', { factors: [0.5, 1, 1.5] });
+  assert.equal(rows[1].value, scenario.regimes.EM_FX.c);
+  assert.ok(rows[0].final < rows[1].final && rows[1].final < rows[2].final);
+});
+
+test('applying a calibration leaves the source scenario untouched', () => {
+  const values = { opt: { ...scenario.calibration.opt, FlexIT: [0.5, 0.1] }, base: { FlexIT: [0.5, null, 0.1, 0] } };
+  const next = applyCalibration(scenario, values);
+  assert.deepEqual(next.calibration.opt.FlexIT, [0.5, 0.1]);
+  assert.deepEqual(next.debrief.features.FlexIT.base, [0.5, null, 0.1, 0]);
+  assert.deepEqual(scenario.calibration.opt.FlexIT, [0.4, 0.05]);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCountries, countryScenario, historyPoints } from '../src/countryPresets.js';
+import { projectDebt, scenarioModel } from '../src/debtDynamics.js';
+import { decodeScenario, encodeScenario } from '../src/scenarioLink.js';
+import { readJSON } from './helpers.js';
+
+const data = await readJSON('../public/debt-simulator/countries.json');
+
+test('the bundled presets file is valid and covers the teaching set', () => {
+  assert.equal(validateCountries(data), data);
+  const codes = data.countries.map(c => c.code);
+  ['GBR', 'JPN', 'ITA', 'ARG', 'LKA'].forEach(code => assert.ok(codes.includes(code), code));
+});
+
+test('a broken presets file is refused with every problem named', () => {
+  const broken = structuredClone(data);
+  broken.countries[0].growth = '1.5';
+  broken.countries[1].code = broken.countries[0].code;
+  broken.countries[2].history.debt.pop();
+  broken.countries[3].maturity = 0;
+  assert.throws(() => validateCountries(broken), (err) =>
+    /countries\[0\]\.growth must be a number/.test(err.message)
+    && /countries\[1\]\.code must be a unique/.test(err.message)
+    && /countries\[2\]\.history must run to 2023/.test(err.message)
+    && /countries\[3\]\.maturity must be a number of years/.test(err.message));
+  assert.throws(() => validateCountries(null), /not a presets object/);
+});
+
+test('a country loads as simulator settings that survive a link', () => {
+  const japan = data.countries.find(c => c.code === 'JPN');
+  const s = countryScenario(japan);
+  assert.equal(s.initialDebt, 252);
+  assert.equal(s.primaryDeficit, 3);
+  assert.equal(s.advanced, null);
+  assert.deepEqual(s.maturity, { years: japan.maturity, effectiveRate: japan.interestRate });
+  assert.deepEqual(decodeScenario(encodeScenario(s)), s);
+  assert.equal(projectDebt(scenarioModel(s, 0.4))[0].debt, 252);
+});
+
+test('history sits in the years before the projection and meets it at year 0', () => {
+  const uk = data.countries.find(c => c.code === 'GBR');
+  const points = historyPoints(uk, data.asOf);
+  assert.equal(points[0].year, 2008 - 2023);
+  assert.deepEqual(points[points.length - 1], { year: 0, history: uk.debt });
+  assert.deepEqual(historyPoints({ ...uk, history: undefined }, data.asOf), []);
+});
@@ -0,0 +1,211 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from '../public/chancellor/engine.js';
+import {
+  projectDebt, simulateFan, percentile, series, applyOffsets, isFlat, interestGrowthGap, FAN_BANDS, SCHEDULE_PRESETS,
+  solveFiscalRule, stabilisingBalance, riskSpread, regimePreset, MAX_SPREAD, MAX_BALANCE,
+} from '../src/debtDynamics.js';
+import { loadDefaultScenario } from './helpers.js';
+
+const scenario = await loadDefaultScenario();
+const UK = { initialDebt: 100, interestRate: 4, growthRate: 2, primaryDeficit: 2 };
+
+test('the deterministic path follows the debt recursion', () => {
+  const path = projectDebt(UK);
+  assert.equal(path.length, 21);
+  assert.deepEqual(path[0], { year: 0, debt: 100 });
+  assert.equal(path[1].debt, Math.round((100 * 1.04 / 1.02 + 2) * 10) / 10);
+  // r = g with a balanced budget leaves the ratio where it is
+  assert.ok(projectDebt({ ...UK, growthRate: 4, primaryDeficit: 0 }).every(p => p.debt === 100));
+});
+
+test('percentiles interpolate between ranks', () => {
+  assert.equal(percentile([1, 2, 3, 4, 5], 50), 3);
+  assert.equal(percentile([0, 10], 25), 2.5);
+  assert.equal(percentile([7], 95), 7);
+});
+
+test('without volatility the fan collapses onto the deterministic path', () => {
+  const { fan, breach } = simulateFan({ ...UK, paths: 50 });
+  const path = projectDebt(UK);
+  fan.forEach((p, t) => {
+    assert.equal(p.median, path[t].debt);
+    FAN_BANDS.forEach(({ key }) => assert.deepEqual(p[key], [path[t].debt, path[t].debt]));
+  });
+  assert.equal(breach[0], 0);
+  assert.equal(breach[20], 1);
+});
+
+test('the fan is reproducible from its seed and nests its bands', () => {
+  const spec = { ...UK, sdRate: 1, sdGrowth: 1.5, correlation: 0.3, sdDeficit: 1, paths: 2000, seed: 7 };
+  const a = simulateFan(spec), b = simulateFan(spec);
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(simulateFan({ ...spec, seed: 8 }).fan, a.fan);
+  a.fan.slice(1).forEach(p => {
+    const [outer, mid, inner] = FAN_BANDS.map(({ key }) => p[key]);
+    assert.ok(outer[0] <= mid[0] && mid[0] <= inner[0] && inner[0] <= p.median);
+    assert.ok(p.median <= inner[1] && inner[1] <= mid[1] && mid[1] <= outer[1]);
+  });
+});
+
+test('the chance of a breach never falls as the horizon lengthens', () => {
+  const { breach } = simulateFan({ ...UK, growthRate: 4, primaryDeficit: 0, sdRate: 1, sdGrowth: 1, sdDeficit: 1, paths: 3000, threshold: 110 });
+  breach.slice(1).forEach((p, t) => assert.ok(p >= breach[t]));
+  assert.ok(breach[20] > 0 && breach[20] < 1);
+});
+
+test('r and g moving together narrow the fan', () => {
+  const spec = { ...UK, sdRate: 2, sdGrowth: 2, paths: 3000, seed: 3 };
+  const width = rho => { const [lo, hi] = simulateFan({ ...spec, correlation: rho }).fan[20].p5_95; return hi - lo; };
+  assert.ok(width(0.9) < width(0) && width(0) < width(-0.9));
+});
+
+test('a schedule sets each year\'s rate and a constant matches the flat path', () => {
+  assert.deepEqual(series(3, 4), [3, 3, 3, 3]);
+  assert.deepEqual(series([1, 2], 4), [1, 2, 2, 2]);
+  assert.deepEqual(projectDebt({ ...UK, interestRate: new Array(20).fill(4) }), projectDebt(UK));
+  // a rate shock in year 1 only moves the path from year 1 on
+  const shocked = projectDebt({ ...UK, interestRate: [10, 4] });
+  assert.equal(shocked[1].debt, Math.round((100 * 1.10 / 1.02 + 2) * 10) / 10);
+  assert.ok(shocked[20].debt > projectDebt(UK)[20].debt);
+});
+
+test('the presets shape the schedules around the sliders', () => {
+  const build = key => SCHEDULE_PRESETS.find(p => p.key === key).build(UK);
+  const shock = build('shock').interestRate;
+  assert.equal(shock[0], 3);
+  assert.ok(shock.every((d, i) => i === 0 || d <= shock[i - 1]));
+  assert.equal(shock[2], 1.5);
+  assert.deepEqual(build('consolidation').primaryDeficit.slice(0, 6), [-0.75, -1.5, -2.25, -3, -3, -3]);
+  const reversion = build('reversion');
+  const r = applyOffsets(UK.interestRate, reversion.interestRate);
+  assert.ok(r[0] < 4 && r[0] > 3 && Math.abs(r[19] - 3) < 0.01);
+  assert.equal(applyOffsets(UK.growthRate, reversion.growthRate)[19], 2);
+  assert.equal(applyOffsets(4, null), 4);
+});
+
+test('the stochastic fan follows the schedules', () => {
+  const consolidation = applyOffsets(2, SCHEDULE_PRESETS.find(p => p.key === 'consolidation').build(UK).primaryDeficit);
+  const { fan } = simulateFan({ ...UK, primaryDeficit: consolidation, paths: 10 });
+  assert.deepEqual(fan.map(p => p.median), projectDebt({ ...UK, primaryDeficit: consolidation }).map(p => p.debt));
+  assert.deepEqual(interestGrowthGap([5, 3], 2, 3), [3, 1, 1]);
+});
+
+test('the rule solver\'s balances hit the target in the target year', () => {
+  const rule = solveFiscalRule({ ...UK, target: 60, horizon: 10 });
+  const exact = deficit => {
+    let b = UK.initialDebt;
+    deficit.slice(0, 10).forEach(d => { b = b * 1.04 / 1.02 + d; });
+    return b;
+  };
+  assert.ok(Math.abs(exact(rule.constant.deficit) - 60) < 1e-9);
+  assert.ok(Math.abs(exact(rule.phased.deficit) - 60) < 1e-9);
+  assert.ok(rule.constant.balance > 0);
+  assert.equal(rule.phased.start, -2);
+  assert.ok(rule.phased.end > rule.constant.balance);
+  assert.equal(rule.phased.deficit[19], rule.phased.deficit[9]);
+  // aiming at today's debt over one year asks for the debt-stabilising balance
+  const hold = solveFiscalRule({ ...UK, target: 100, horizon: 1 });
+  assert.equal(hold.constant.balance, stabilisingBalance(100, 4, 2));
+  assert.equal(hold.phased.end, hold.constant.balance);
+  assert.equal(stabilisingBalance(100, 4, 2), 1.96);
+});
+
+test('the solver respects scheduled rates', () => {
+  const shock = [8, 8, 6, 4];
+  const rule = solveFiscalRule({ ...UK, interestRate: shock, target: 80, horizon: 5 });
+  const path = projectDebt({ ...UK, interestRate: shock, primaryDeficit: rule.constant.deficit });
+  assert.ok(Math.abs(path[5].debt - 80) <= 0.05);
+  assert.ok(rule.constant.balance > solveFiscalRule({ ...UK, target: 80, horizon: 5 }).constant.balance);
+});
+
+test('a target no balance can reach is flagged, not answered with the bracket\'s midpoint', () => {
+  assert.equal(solveFiscalRule({ ...UK, target: 60, horizon: 10 }).unreachable, false);
+  // from 300% of GDP to nothing in one year takes a surplus of nearly 300%
+  const cliff = solveFiscalRule({ ...UK, initialDebt: 300, target: 0, horizon: 1 });
+  assert.equal(cliff.unreachable, true);
+  assert.equal(cliff.constant, null);
+  assert.equal(cliff.phased, null);
+  assert.equal(cliff.stabilising, stabilisingBalance(300, 4, 2));
+  assert.ok(projectDebt({ ...UK, initialDebt: 300, primaryDeficit: -MAX_BALANCE })[1].debt > 0);
+  // and the other way: no deficit within the bracket doubles debt in a year
+  assert.equal(solveFiscalRule({ ...UK, target: 400, horizon: 1 }).unreachable, true);
+});
+
+test('the risk premium is the engine\'s convex spread, capped', () => {
+  const premium = { c: 0.0056, bstar: 112 };
+  assert.equal(riskSpread(100, premium), 0);
+  assert.ok(Math.abs(riskSpread(132, premium) - 0.0056 * 400) < 1e-12);
+  assert.equal(riskSpread(1000, premium), MAX_SPREAD);
+  assert.equal(riskSpread(500, null), 0);
+  const path = projectDebt({ ...UK, initialDebt: 120, premium });
+  assert.ok(Math.abs(path[1].spread - riskSpread(120, premium)) < 0.01);
+  assert.equal(path[1].rate, Math.round((4 + path[1].spread) * 100) / 100);
+  assert.ok(path[20].debt > projectDebt({ ...UK, initialDebt: 120 })[20].debt);
+});
+
+test('foreign-currency debt grows with the depreciation', () => {
+  const path = projectDebt({ ...UK, fxShare: 0.5, depreciation: [20, 0] });
+  assert.equal(path[1].fx, 10);
+  assert.equal(path[1].debt, Math.round((100 * 1.04 / 1.02 + 2 + 10) * 10) / 10);
+  assert.equal(path[2].fx, 0);
+});
+
+test('a regime preset retells a round of the classroom game', () => {
+  const kappa = scenario.dials.KAPPA;
+  const E = createEngine(scenario);
+  for (const k of E.REG_KEYS) {
+    const R = scenario.regimes[k], p = regimePreset(R, kappa);
+    assert.equal(p.bstarEffective, Math.round((R.bstar + (R.cred - 50) * kappa) * 10) / 10);
+    // one quiet year from the regime's opening state: no shock, no policy move
+    const s = E.freshState(k);
+    const bstarEff = R.bstar + (s.cred - 50) * kappa;
+    const i = R.ibase + R.c * Math.max(0, s.b - bstarEff) ** 2;
+    const engine = s.b + s.d + (i - s.pi - s.g) / 100 * s.b;
+    const sim = projectDebt({ ...p, premium: { c: p.c, bstar: p.bstarEffective }, years: 1 });
+    // the engine linearises the snowball; the simulator compounds it
+    assert.ok(Math.abs(sim[1].debt - engine) < 0.02 * R.b, `${k}: ${sim[1].debt} vs ${engine}`);
+  }
+  assert.equal(regimePreset(scenario.regimes.EM_FX, kappa).fxShare, 0.7);
+});
+
+test('the solver still hits the target with a premium in play', () => {
+  const spec = { ...UK, initialDebt: 140, premium: { c: 0.0056, bstar: 112 }, target: 100, horizon: 8 };
+  const rule = solveFiscalRule(spec);
+  const path = projectDebt({ ...spec, primaryDeficit: rule.constant.deficit });
+  assert.ok(Math.abs(path[8].debt - 100) <= 0.05);
+  assert.ok(rule.constant.balance > solveFiscalRule({ ...spec, premium: null }).constant.balance);
+  assert.ok(rule.stabilising > stabilisingBalance(140, 4, 2));
+});
+
+test('with a maturity profile a rate shock reaches the stock gradually', () => {
+  const shock = [8, 8, 8, 8, 8, 8, 8, 8, 8, 8];
+  const instant = projectDebt({ ...UK, interestRate: shock });
+  const laddered = projectDebt({ ...UK, interestRate: shock, maturity: 10, effectiveRate: 4 });
+  assert.equal(laddered[1].market, 8);
+  assert.equal(laddered[1].rate, 4.4);
+  assert.ok(Math.abs(laddered[10].rate - (8 - 4 * 0.9 ** 10)) < 0.01);
+  assert.ok(laddered[20].debt < instant[20].debt);
+  // a one-year maturity reprices everything at once, as without a profile
+  assert.deepEqual(projectDebt({ ...UK, interestRate: shock, maturity: 1, effectiveRate: 4 }), instant);
+  // no starting rate: the stock starts at the market rate
+  assert.equal(projectDebt({ ...UK, maturity: 10 })[1].rate, 4);
+});
+
+test('the premium and the shocks pass through the maturity profile too', () => {
+  const spec = { ...UK, initialDebt: 140, premium: { c: 0.0056, bstar: 112 }, maturity: 5, effectiveRate: 4 };
+  const path = projectDebt(spec);
+  assert.ok(path[1].market > path[1].rate && path[1].rate > 4);
+  const rule = solveFiscalRule({ ...spec, target: 100, horizon: 8 });
+  assert.ok(Math.abs(projectDebt({ ...spec, primaryDeficit: rule.constant.deficit })[8].debt - 100) <= 0.05);
+  const { fan } = simulateFan({ ...spec, paths: 10 });
+  assert.deepEqual(fan.map(p => p.median), path.map(p => p.debt));
+});
+
+test('a schedule of zero offsets counts as flat, whatever object holds it', () => {
+  assert.equal(isFlat({ interestRate: null, growthRate: null, primaryDeficit: null }), true);
+  assert.equal(isFlat({ interestRate: new Array(20).fill(0), growthRate: null, primaryDeficit: null }), true);
+  assert.equal(isFlat(undefined), true);
+  const shock = SCHEDULE_PRESETS.find(p => p.key === 'shock').build(UK);
+  assert.equal(isFlat({ growthRate: null, ...shock }), false);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createEngine } from '../public/chancellor/engine.js';
+import { validateScenario, loadScenario } from '../public/chancellor/scenario.js';
+import { readJSON, loadDefaultScenario } from './helpers.js';
+
+const engine = createEngine(validateScenario(await loadDefaultScenario()));
+const { REG, REG_KEYS, KIND, OPT_SLIDER, options, defaultPick, freshState, zoneOf } = engine;
+
+/* trajectories recorded from the calibrated engine before it was extracted;
+   every regime × the slider grid on rounds 1 & 3 × both binary calls on 2 & 4 */
+const pinned = await readJSON('./fixtures/engine-trajectories.json');
+
+function play(E, regKey, picks) {
+  const s = E.freshState(regKey);
+  picks.forEach((pick, i) => E.stepState(s, regKey, i + 1, E.deltaFor(regKey, i + 1, pick)));
+  return s;
+}
+
+test('the fixture covers every regime and pick combination', () => {
+  const { grid, trajectories } = pinned;
+  assert.deepEqual(Object.keys(trajectories), REG_KEYS);
+  for (const k of REG_KEYS) assert.equal(Object.keys(trajectories[k]).length, (grid.length * 2) ** 2);
+});
+
+for (const k of REG_KEYS) {
+  test(`${k}: the default scenario reproduces the calibrated model`, () => {
+    for (const [key, want] of Object.entries(pinned.trajectories[k])) {
+      const s = play(engine, k, key.split(',').map(Number));
+      assert.equal(s.hist.length, KIND.length + 1, key);
+      s.hist.forEach((b, r) => assert.ok(Math.abs(b - want.hist[r]) < 1e-9, `${k} ${key} round ${r}: ${b} ≠ ${want.hist[r]}`));
+      assert.equal(s.crisis, want.crisis, `${k} ${key} crisis flag`);
+    }
+  });
+}
+
+test('regimes carry everything the three screens read', () => {
+  for (const k of REG_KEYS) {
+    const R = REG[k];
+    assert.ok(R.b < R.warn && R.warn < R.bcrisis, `${k} warn sits between start and crisis`);
+    assert.equal(options(k, 2).length, 2);
+    assert.equal(options(k, 4).length, 2);
+    assert.equal(OPT_SLIDER[k].length, 2);
+  }
+  assert.notDeepEqual(options('FlexIT', 2), options('EM_FX', 2));
+  assert.equal(options('FlexIT', 4), options('EM_FX', 4));
+});
+
+test('a timed-out phone is scored at the dial midpoint or the prudent call', () => {
+  assert.deepEqual(KIND.map((_, i) => defaultPick(i + 1)), [0.5, 0, 0.5, 0]);
+});
+
+test('zones follow the warn and crisis lines', () => {
+  const R = REG.Eurozone;
+  assert.equal(zoneOf('Eurozone', { b: R.warn - 1 }), 'ok');
+  assert.equal(zoneOf('Eurozone', { b: R.warn }), 'warn');
+  assert.equal(zoneOf('Eurozone', { b: R.bcrisis }), 'crisis');
+});
+
+test('a scenario can have any number of rounds and regimes', async () => {
+  const six = createEngine(validateScenario(await readJSON('./fixtures/six-rounds.json')));
+  assert.deepEqual(six.REG_KEYS, ['FlexIT', 'EM_FX']);
+  assert.equal(six.N, 6);
+  assert.equal(six.sliderIndex(5), 2);
+  /* the first four rounds are the default game's */
+  const picks = [0.4, 1, 0.2, 0];
+  assert.deepEqual(play(six, 'EM_FX', picks).hist, play(engine, 'EM_FX', picks).hist);
+  const s = play(six, 'EM_FX', [...picks, 0.3, 1]);
+  assert.equal(s.hist.length, 7);
+  assert.ok(s.cred < freshState('EM_FX').cred);
+  /* the world rate rise persists into the later rounds */
+  assert.deepEqual(six.WORLD.map(w => w.i), [0, 3, 3, 3, 3, 3]);
+});
+
+test('a malformed scenario is rejected with every problem listed', async () => {
+  const bad = await readJSON('./fixtures/six-rounds.json');
+  bad.regimes.EM_FX.warn = 200;
+  bad.rounds[1].kind = 'dial';
+  bad.rounds[3].options.pop();
+  bad.rounds[0].delta.debt = [1];
+  bad.calibration.opt.FlexIT = [0.5];
+  assert.throws(() => validateScenario(bad), e => {
+    assert.match(e.message, /^scenario six-rounds: /);
+    assert.match(e.message, /regimes\.EM_FX: need b < warn < bcrisis/);
+    assert.match(e.message, /rounds\[1\]\.kind must be "slider" or "binary"/);
+    assert.match(e.message, /rounds\[3\]\.options must hold exactly two options/);
+    assert.match(e.message, /rounds\[0\]\.delta\.debt is not one of/);
+    assert.match(e.message, /calibration\.opt\.FlexIT/);
+    return true;
+  });
+  const missing = await readJSON('./fixtures/six-rounds.json');
+  delete missing.rounds[1].options.EM_FX;
+  assert.throws(() => validateScenario(missing), /rounds\[1\]\.options\.EM_FX must hold exactly two options/);
+  const hollow = await readJSON('./fixtures/six-rounds.json');
+  hollow.debrief = { features: { FlexIT: null } };
+  assert.throws(() => validateScenario(hollow), /debrief\.features\.FlexIT must be an object/);
+});
+
+test('a scenario file must carry the id it is loaded by', async () => {
+  const six = await readJSON('./fixtures/six-rounds.json');
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async () => ({ ok: true, json: async () => six });
+  try {
+    assert.equal((await loadScenario('six-rounds')).id, 'six-rounds');
+    await assert.rejects(loadScenario('default'), /scenario default says its id is six-rounds/);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
+/* parity: no page may carry its own copy of the model or the scenario again */
+for (const page of ['chancellor-host.html', 'chancellor-player.html', 'chancellor-debrief.html']) {
+  test(`${page} runs the shared engine on a loaded scenario`, async () => {
+    const html = await readFile(new URL(`../public/${page}`, import.meta.url), 'utf8');
+    assert.match(html, /from '\.\/chancellor\/scenario\.js'/);
+    assert.match(html, /await loadEngine\(PARAMS\.get\('scenario'\)\)/);
+    assert.doesNotMatch(html, /function (stepState|step|r1delta|r3delta|deltaFor|freshState)\s*\(/);
+    assert.doesNotMatch(html, /const (REG|R2|R4|KIND|OPT_SLIDER|SHOCKS|SHOCKMETA|FEATURE|REASON|BINARY_UI)\s*=\s*[[{]/);
+    assert.doesNotMatch(html, /KAPPA\s*=/);
+  });
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { projectionTable, toCSV, wrapText, annotatedSvg } from '../src/exportProjection.js';
+import { projectDebt } from '../src/debtDynamics.js';
+
+test('the table keeps labelled columns with data and splits fan bands', () => {
+  const rows = [
+    { year: 0, debt: 100, p5_95: [100, 100] },
+    { year: 1, debt: 101.5, p5_95: [96.2, 107.9], ignored: 1 },
+  ];
+  const table = projectionTable(rows, { year: 'Year', debt: 'Debt', rate: 'Rate', p5_95: 'Band' });
+  assert.deepEqual(table.columns, ['Year', 'Debt', 'Band (low)', 'Band (high)']);
+  assert.deepEqual(table.rows[1], [1, 101.5, 96.2, 107.9]);
+});
+
+test('a projection exports one CSV line per year, gaps left blank', () => {
+  const path = projectDebt({ initialDebt: 100, interestRate: 4, growthRate: 2, primaryDeficit: 2, years: 5 });
+  const csv = toCSV(projectionTable(path, { year: 'Year', debt: 'Debt-to-GDP (%)', rate: 'Rate (%)' }));
+  const lines = csv.trim().split('\n');
+  assert.equal(lines.length, 7);
+  assert.equal(lines[0], 'Year,Debt-to-GDP (%),Rate (%)');
+  assert.equal(lines[1], '0,100,');
+  assert.match(lines[2], /^1,\d+(\.\d+)?,4$/);
+});
+
+test('CSV cells with commas, quotes or newlines are quoted', () => {
+  const csv = toCSV({ columns: ['Name', 'Note'], rows: [['Higher rates, 6%', 'a "shock"\nlater']] });
+  assert.equal(csv, 'Name,Note\n"Higher rates, 6%","a ""shock""\nlater"\n');
+});
+
+test('CSV text that reads as a formula is kept as text, numbers are not touched', () => {
+  const csv = toCSV({ columns: ['Year', '=HYPERLINK("x") (%)', '+1', '-cut', '@SUM(A1)'], rows: [[1, -2.5, 3, null, 0]] });
+  const [head, row] = csv.trim().split('\n');
+  assert.equal(head, `Year,"'=HYPERLINK(""x"") (%)",'+1,'-cut,'@SUM(A1)`);
+  assert.equal(row, '1,-2.5,3,,0');
+});
+
+test('text wraps at spaces within the width', () => {
+  const lines = wrapText('Debt stabilises when the primary balance covers the interest-growth gap.', 24);
+  assert.ok(lines.every(l => l.length <= 24));
+  assert.equal(lines.join(' '), 'Debt stabilises when the primary balance covers the interest-growth gap.');
+  assert.deepEqual(wrapText('', 10), []);
+});
+
+test('the annotated SVG escapes text and grows to fit the analysis', () => {
+  const short = annotatedSvg({ chart: '<svg></svg>', width: 600, height: 300, title: 'R < G & "safe"' });
+  assert.match(short.svg, /R &lt; G &amp; &quot;safe&quot;/);
+  assert.match(short.svg, /<g transform="translate\(24 \d+\)"><svg><\/svg><\/g>/);
+  assert.equal(short.width, 648);
+  const long = annotatedSvg({
+    chart: '<svg></svg>', width: 600, height: 300, title: 'Debt',
+    legend: [{ name: 'Median path', color: '#57534e', dashed: true }],
+    settings: ['Initial debt 100% of GDP'],
+    analysis: ['word '.repeat(200)],
+  });
+  assert.ok(long.height > short.height + 100);
+  assert.match(long.svg, /stroke-dasharray/);
+  assert.match(long.svg, /DYNAMIC ANALYSIS/);
+  assert.doesNotMatch(short.svg, /DYNAMIC ANALYSIS/);
+  assert.match(long.svg, new RegExp(`height="${long.height}"`));
+});
@@ -0,0 +1,10 @@
+import { readFile } from 'node:fs/promises';
+import { createEngine } from '../public/chancellor/engine.js';
+
+/* paths resolve against the test directory, so './fixtures/…' and '../public/…' both work */
+export const readJSON = async path => JSON.parse(await readFile(new URL(path, import.meta.url), 'utf8'));
+
+/* a fresh copy each call: tests are free to mutate what they get */
+export const loadDefaultScenario = () => readJSON('../public/chancellor/scenarios/default.json');
+
+export const loadDefaultEngine = async options => createEngine(await loadDefaultScenario(), options);
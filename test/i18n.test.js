@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from '../public/chancellor/engine.js';
+import { validateScenario, localiseScenario } from '../public/chancellor/scenario.js';
+import { LOCALES, LANGS, localeFor, translator } from '../public/chancellor/i18n.js';
+import { loadDefaultScenario } from './helpers.js';
+
+const scenario = validateScenario(await loadDefaultScenario());
+
+const holes = v => (typeof v === 'string' ? [v] : Object.values(v)).flatMap(s => s.match(/\{\w+\}/g) || []).sort();
+
+test('every locale has every English key, with the same placeholders', () => {
+  assert.ok(LANGS.length >= 2);
+  for (const lang of LANGS) {
+    assert.deepEqual(Object.keys(LOCALES[lang]).sort(), Object.keys(LOCALES.en).sort(), lang);
+    for (const [key, v] of Object.entries(LOCALES.en)) {
+      if (key === 'words') continue;
+      assert.equal(typeof LOCALES[lang][key], typeof v, `${lang}.${key}`);
+      assert.deepEqual([...new Set(holes(LOCALES[lang][key]))], [...new Set(holes(v))], `${lang}.${key}`);
+    }
+  }
+});
+
+test('the translator fills placeholders, picks plurals and falls back to English', () => {
+  const en = translator(), fr = translator('fr-CA');
+  assert.equal(en.lang, 'en');
+  assert.equal(fr.lang, 'fr');
+  assert.equal(localeFor('de'), 'en');
+  assert.equal(en('roundOf', { r: 2, n: 4 }), 'round 2 of 4');
+  assert.equal(fr('roundOf', { r: 2, n: 4 }), 'manche 2 sur 4');
+  assert.equal(en('secondsLeft', { n: 1 }), '1 second left');
+  assert.equal(en('secondsLeft', { n: 15 }), '15 seconds left');
+  assert.equal(fr('secondsLeft', { n: 1 }), 'plus que 1 seconde');
+  assert.equal(fr.spell(4), 'quatre');
+  assert.equal(en.spell(40), '40');
+  assert.equal(en('no-such-key'), 'no-such-key');
+});
+
+test('a localised scenario changes the words and nothing else', () => {
+  const fr = localiseScenario(scenario, 'fr');
+  assert.equal(localiseScenario(scenario, 'en'), scenario);
+  assert.equal(fr.regimes.EM_FX.name, 'Pays émergent');
+  assert.equal(fr.regimes.FlexIT.name, 'FlexIT');
+  assert.equal(fr.rounds[1].options.EM_FX[1].title, 'Laisser flotter');
+  assert.equal(fr.rounds[1].options.EM_FX[1].label, 'float');
+  assert.equal(scenario.regimes.EM_FX.name, 'Emerging market');
+  /* strip every string: what is left must be identical */
+  const numbers = v => Array.isArray(v) ? v.map(numbers)
+    : v && typeof v === 'object' ? Object.fromEntries(Object.entries(v).map(([k, x]) => [k, numbers(x)]))
+      : typeof v === 'string' ? '' : v;
+  assert.deepEqual(numbers(fr), numbers(scenario));
+  const a = createEngine(scenario), b = createEngine(fr);
+  for (const k of a.REG_KEYS) {
+    const sa = a.freshState(k), sb = b.freshState(k);
+    [0.3, 1, 0.6, 0].forEach((pick, i) => {
+      a.stepState(sa, k, i + 1, a.deltaFor(k, i + 1, pick));
+      b.stepState(sb, k, i + 1, b.deltaFor(k, i + 1, pick));
+    });
+    assert.deepEqual(sb, sa);
+  }
+});
+
+test('a translation must land on a string the scenario has', () => {
+  const bad = structuredClone(scenario);
+  bad.i18n.de = { regimes: { FlexIT: { b: 'hundert', nmae: 'FlexIT' } }, rounds: [{}, {}, {}, {}, {}] };
+  assert.throws(() => validateScenario(bad), e => {
+    assert.match(e.message, /i18n\.de\.regimes\.FlexIT\.b translates nothing/);
+    assert.match(e.message, /i18n\.de\.regimes\.FlexIT\.nmae translates nothing/);
+    assert.match(e.message, /i18n\.de\.rounds must mirror an array/);
+    return true;
+  });
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VIEWS, NEAR, nextView, median, deskPicks, deskDistribution, liveDistribution } from '../public/chancellor/livepicks.js';
+import { loadDefaultEngine } from './helpers.js';
+
+const engine = await loadDefaultEngine();
+const { OPT_SLIDER } = engine;
+
+/* a desk where each pick is this round's; null is a phone still deciding */
+function desk(reg, picks, round = 1) {
+  return picks.map((pick, i) => {
+    const p = { id: `${reg}${i}`, reg, picks: [], submitted: pick !== null };
+    if (pick !== null) p.picks[round - 1] = pick;
+    return p;
+  });
+}
+
+test('the views cycle off, class, teacher and back', () => {
+  assert.deepEqual(VIEWS.map(nextView), ['class', 'teacher', 'off']);
+});
+
+test('the median averages the middle pair of an even count', () => {
+  assert.equal(median([0.9, 0.1, 0.5]), 0.5);
+  assert.equal(median([0.2, 0.8, 0.4, 0.6]), 0.5);
+  assert.equal(median([]), null);
+});
+
+test('only locked-in picks for the round count', () => {
+  const players = [...desk('FlexIT', [0.3, null, 0.7]), ...desk('Eurozone', [0.1])];
+  players[2].submitted = false;   // a pick left over from before the round reopened
+  assert.deepEqual(deskPicks(players, 'FlexIT', 1), [0.3]);
+  assert.deepEqual(deskPicks(players, 'FlexIT', 2), []);
+});
+
+test('a dial bins the picks, and the teacher view measures them against the sweet spot', () => {
+  const opt = OPT_SLIDER.FlexIT[0];   // 0.4 in the default scenario
+  const players = desk('FlexIT', [opt - NEAR, opt, opt + 0.05, opt + 0.3, 1, null]);
+  const d = deskDistribution(engine, players, 'FlexIT', 1, 'teacher');
+  assert.equal(d.kind, 'slider');
+  assert.equal(d.locked, 5);
+  assert.equal(d.seated, 6);
+  assert.equal(d.bins.length, 10);
+  assert.equal(d.bins.reduce((a, c) => a + c, 0), 5);
+  assert.equal(d.bins[4], 2);
+  assert.equal(d.bins[9], 1);          // a pick of 1 lands in the top bin
+  assert.equal(d.opt, opt);
+  assert.equal(d.median, opt + 0.05);
+  assert.equal(d.near, 3);             // ±0.1 is inclusive
+
+  const shown = deskDistribution(engine, players, 'FlexIT', 1, 'class');
+  assert.deepEqual(shown.bins, d.bins);
+  assert.ok(!('opt' in shown) && !('median' in shown) && !('near' in shown));
+});
+
+test('a binary round splits the desk between the two calls', () => {
+  const players = desk('EM_FX', [0, 0, 1, null], 2);
+  const d = deskDistribution(engine, players, 'EM_FX', 2, 'teacher');
+  assert.equal(d.kind, 'binary');
+  assert.deepEqual(d.counts, [2, 1]);
+  assert.equal(d.prudentShare, 2 / 3);
+  assert.ok(!('prudentShare' in deskDistribution(engine, players, 'EM_FX', 2, 'class')));
+  assert.ok(!('prudentShare' in deskDistribution(engine, desk('EM_FX', [null], 2), 'EM_FX', 2, 'teacher')));
+});
+
+test('every desk is shown, empty ones included', () => {
+  const all = liveDistribution(engine, desk('HighInf', [0.2]), 1, 'teacher');
+  assert.deepEqual(all.map(d => d.reg), engine.REG_KEYS);
+  const empty = all.find(d => d.reg === 'FlexIT');
+  assert.equal(empty.locked, 0);
+  assert.equal(empty.seated, 0);
+  assert.ok(!('median' in empty));
+  assert.equal(all.find(d => d.reg === 'HighInf').median, 0.2);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BLOCKLIST, blockedWord, parseBlocklist, uniqueName, balanceMoves } from '../public/chancellor/lobby.js';
+
+test('the blocklist sees through case, digits and spacing', () => {
+  assert.equal(blockedWord('Sh1T happens'), 'shit');
+  assert.equal(blockedWord('b i t c h'), 'bitch');
+  assert.equal(blockedWord('Keynes'), null);
+  /* short words only as a whole word: Cassandra and Titus are fine */
+  assert.equal(blockedWord('Cassandra'), null);
+  assert.equal(blockedWord('Titus'), null);
+  assert.equal(blockedWord('big ass'), 'ass');
+  assert.equal(blockedWord('Osborne', [...BLOCKLIST, 'osborne']), 'osborne');
+});
+
+test('a typed blocklist splits on commas, spaces and new lines', () => {
+  assert.deepEqual(parseBlocklist('Truss, kwarteng\nTRUSS  '), ['truss', 'kwarteng']);
+  assert.deepEqual(parseBlocklist(null), []);
+});
+
+test('duplicate names are numbered within the length limit', () => {
+  assert.equal(uniqueName('Sam', []), 'Sam');
+  assert.equal(uniqueName('Sam', ['Sam']), 'Sam 2');
+  assert.equal(uniqueName('Sam', ['Sam', 'Sam 2']), 'Sam 3');
+  assert.equal(uniqueName('Bartholomewzzz', ['Bartholomewzzz']), 'Bartholomewz 2');
+});
+
+test('balancing leaves every desk within one player, moving the latest arrivals', () => {
+  const players = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map((id, i) => ({ id, reg: i < 6 ? 'X' : 'Y' }));
+  const moves = balanceMoves(players, ['X', 'Y', 'Z']);
+  assert.deepEqual(moves, [{ id: 'f', reg: 'Z' }, { id: 'e', reg: 'Y' }, { id: 'd', reg: 'Z' }]);
+  const after = players.map(p => moves.find(m => m.id === p.id)?.reg ?? p.reg);
+  const counts = ['X', 'Y', 'Z'].map(k => after.filter(r => r === k).length);
+  assert.ok(Math.max(...counts) - Math.min(...counts) <= 1);
+  assert.deepEqual(balanceMoves([{ id: 'a', reg: 'X' }], ['X', 'Y']), []);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLog, recordRound } from '../public/chancellor/session.js';
+import { welfareScore } from '../public/chancellor/welfare.js';
+import { classResults, resultsCSV, summaryHtml } from '../public/chancellor/results.js';
+import { loadDefaultEngine } from './helpers.js';
+
+const engine = await loadDefaultEngine();
+const { REG, deltaFor, stepState, freshState } = engine;
+
+/* three EM_FX desks and one FlexIT desk, played through four rounds */
+function session() {
+  const seats = [
+    ['safe', 'EM_FX', [0.15, 0, 1, 0]],
+    ['reckless', 'EM_FX', [1, 1, 0, 1]],
+    ['Smith, "Jo"', 'EM_FX', [0.5, 0, 0.5, 1]],
+    ['flex', 'FlexIT', [0.4, 0, 0.05, 0]],
+  ];
+  const players = seats.map(([name, reg, picks], i) => ({ id: 'p' + i, name, reg, plan: picks, state: freshState(reg), picks: [] }));
+  const log = createLog(engine, 'FISC', players, Date.UTC(2026, 2, 3));
+  for (let r = 1; r <= 4; r++) {
+    players.forEach(p => {
+      p.picks[r - 1] = p.plan[r - 1];
+      stepState(p.state, p.reg, r, deltaFor(p.reg, r, p.picks[r - 1]));
+    });
+    recordRound(log, r, players, 0, 0);
+  }
+  return log;
+}
+
+test('results rank each regime and record when the line was crossed', () => {
+  const log = session();
+  const rows = classResults(log, engine);
+  assert.deepEqual(rows.map(p => [p.reg, p.rank, p.name]),
+    [['EM_FX', 1, 'safe'], ['EM_FX', 2, 'Smith, "Jo"'], ['EM_FX', 3, 'reckless'], ['FlexIT', 1, 'flex']]);
+  const reckless = rows.find(p => p.name === 'reckless');
+  assert.ok(reckless.crisis);
+  assert.equal(reckless.crisisRound, reckless.hist.findIndex(b => b >= REG.EM_FX.bcrisis));
+  assert.equal(rows.find(p => p.name === 'safe').crisisRound, null);
+  assert.equal(reckless.welfare, welfareScore(engine, 'EM_FX', [1, 1, 0, 1]));
+
+  const byWelfare = classResults(log, engine, 'welfare').filter(p => p.reg === 'EM_FX');
+  assert.deepEqual(byWelfare.map(p => p.welfare), byWelfare.map(p => p.welfare).sort((a, b) => b - a));
+});
+
+test('the CSV has a row per player, with picks and the whole path', () => {
+  const log = session();
+  const lines = resultsCSV(classResults(log, engine), log).trim().split('\n');
+  assert.equal(lines.length, 5);
+  const head = lines[0].split(',');
+  assert.deepEqual(head.slice(0, 8), ['room', 'scenario', 'regime', 'rank', 'name', 'final_debt', 'crisis_round', 'welfare']);
+  assert.equal(head.length, 8 + 4 + 5);
+  assert.equal(head.at(-1), 'debt_r4');
+  assert.match(lines[2], /^FISC,default,EM_FX,2,"Smith, ""Jo""",/);
+  const safe = lines[1].split(',');
+  assert.equal(safe[6], '');
+  assert.deepEqual(safe.slice(8, 12), ['0.15', '0', '1', '0']);
+  assert.equal(Number(safe.at(-1)), Number(safe[5]));
+});
+
+test('a name that reads as a formula stays text in the CSV', () => {
+  const log = session();
+  const rows = classResults(log, engine).map(p => p.name === 'flex' ? { ...p, name: '=HYPERLINK("x")', welfare: -3.5 } : p);
+  const flex = resultsCSV(rows, log).trim().split('\n')[4];
+  assert.match(flex, /^FISC,default,FlexIT,1,"'=HYPERLINK\(""x""\)",/);
+  assert.match(flex, /,-3\.5,/);
+  for (const name of ['+1', '-1', '@SUM(A1)']) assert.ok(resultsCSV([{ ...rows[0], name }], log).includes(`,'${name},`), name);
+});
+
+test('the printable summary is one self-contained page', () => {
+  const log = session();
+  const html = summaryHtml(classResults(log, engine), log);
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /@page\{size:A4/);
+  assert.equal((html.match(/<section>/g) || []).length, 2);
+  assert.match(html, /Smith, &quot;Jo&quot;/);
+  assert.doesNotMatch(html, /<script|https?:\/\//);
+  // the pages' palette variables mean nothing here: the regime colours are spelled out
+  assert.doesNotMatch(html, /var\(--/);
+  assert.match(html, /stroke="#E8A33D"/);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from '../public/chancellor/engine.js';
+import { playPolicy } from '../public/chancellor/calibrate.js';
+import { roadsNotTaken, featureFork } from '../public/chancellor/roads.js';
+import { loadDefaultScenario } from './helpers.js';
+
+const scenario = await loadDefaultScenario();
+const E = createEngine(scenario);
+
+test('a binary round forks onto the other call from the same history', () => {
+  const [alt, ...rest] = roadsNotTaken(E, 'EM_FX', [0.3, 0]);
+  assert.equal(rest.length, 0);
+  assert.equal(alt.pick, 1);
+  assert.equal(alt.label, E.options('EM_FX', 2)[1].title);
+  const mine = playPolicy(E, 'EM_FX', [0.3, 0]);
+  assert.deepEqual(alt.hist.slice(0, 2), mine.hist.slice(0, 2));
+  assert.equal(alt.final, playPolicy(E, 'EM_FX', [0.3, 1]).b);
+});
+
+test('a slider round forks to both ends of the dial and the sweet spot', () => {
+  const alts = roadsNotTaken(E, 'FlexIT', [0.7]);
+  assert.deepEqual(alts.map(a => a.pick), [0, 1, E.OPT_SLIDER.FlexIT[0]]);
+  assert.ok(alts[2].sweet);
+  /* a pick already at one end drops that end */
+  assert.deepEqual(roadsNotTaken(E, 'FlexIT', [1]).map(a => a.pick), [0, E.OPT_SLIDER.FlexIT[0]]);
+  /* a sweet spot at an end stands in for it: HighInf's is a full cut */
+  assert.equal(E.OPT_SLIDER.HighInf[0], 0);
+  assert.deepEqual(roadsNotTaken(E, 'HighInf', [0.5]).map(a => a.label), ['Spend', 'sweet spot']);
+});
+
+test('a debrief fork plays the feature round both ways over the base picks', () => {
+  const c = scenario.debrief.features.EM_FX;
+  const picks = o => c.base.map((p, i) => (i + 1 === c.round ? o : p));
+  const A = featureFork(E, 'EM_FX', c.A.override), B = featureFork(E, 'EM_FX', c.B.override);
+  assert.deepEqual(A.tr, playPolicy(E, 'EM_FX', picks(c.A.override)).hist);
+  assert.equal(B.final, playPolicy(E, 'EM_FX', picks(c.B.override)).b);
+  assert.deepEqual(A.tr.slice(0, c.round), B.tr.slice(0, c.round));
+  assert.equal(A.crossRound, A.crisis ? A.tr.findIndex(b => b >= E.REG.EM_FX.bcrisis) : -1);
+});
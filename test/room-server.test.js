@@ -0,0 +1,408 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { createRoomServer, SOCKET_PATH } from '../server/room-server.js';
+
+const REGIMES = ['FlexIT', 'Eurozone', 'EM_FX', 'HighInf'];
+const TOKEN = 'lecturer-token';
+let server, url, httpBase;
+
+before(async () => {
+  server = createRoomServer({ port: 0, host: '127.0.0.1', token: TOKEN });
+  const { port } = await server.listen();
+  url = `ws://127.0.0.1:${port}${SOCKET_PATH}`;
+  httpBase = `http://127.0.0.1:${port}`;
+});
+after(() => server.close());
+
+/* a headless client: queues every message so tests can await the next one of a type */
+async function client(target = url) {
+  const ws = new WebSocket(target);
+  const inbox = [];
+  const waiting = [];
+  ws.on('message', data => {
+    const msg = JSON.parse(data);
+    const i = waiting.findIndex(w => w.t === msg.t);
+    if (i >= 0) waiting.splice(i, 1)[0].resolve(msg);
+    else inbox.push(msg);
+  });
+  await new Promise((res, rej) => { ws.once('open', res); ws.once('error', rej); });
+  return {
+    send: msg => ws.send(typeof msg === 'string' ? msg : JSON.stringify(msg)),
+    next(t) {
+      const i = inbox.findIndex(m => m.t === t);
+      if (i >= 0) return Promise.resolve(inbox.splice(i, 1)[0]);
+      return new Promise(resolve => waiting.push({ t, resolve }));
+    },
+    close: () => new Promise(res => { ws.once('close', res); ws.close(); }),
+  };
+}
+
+/* the projector's pages: every message carries the host token */
+async function lecturer(target) {
+  const screen = await client(target);
+  return { ...screen, send: msg => screen.send({ ...msg, token: TOKEN }) };
+}
+
+async function openRoom(room) {
+  const host = await lecturer();
+  host.send({ t: 'host', room, regimes: REGIMES });
+  await host.next('hosted');
+  return host;
+}
+
+async function joinRoom(room, name, reg, pid) {
+  const phone = await client();
+  phone.send({ t: 'join', room, name, reg, pid });
+  return { phone, joined: await phone.next('joined') };
+}
+
+test('serves the game pages over http', async () => {
+  const res = await fetch(`${httpBase}/chancellor-player.html`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/html/);
+  assert.equal((await fetch(`${httpBase}/../package.json`)).status, 404);
+});
+
+test('a malformed path is refused without taking the server down', async () => {
+  assert.equal((await fetch(`${httpBase}/%E0%A4%A`)).status, 400);
+  assert.equal((await fetch(`${httpBase}/chancellor-player.html`)).status, 200);
+});
+
+test('frames that are not JSON objects are refused, and the server carries on', async () => {
+  const phone = await client();
+  for (const frame of ['null', '42', '"join"', '[1,2]', '{oops']) {
+    phone.send(frame);
+    assert.deepEqual(await phone.next('error'), { t: 'error', code: 'bad-json' });
+  }
+  phone.send({ t: 'join', room: 'NONE', name: 'Maya' });
+  assert.equal((await phone.next('error')).code, 'no-room');
+  await phone.close();
+});
+
+test('a phone cannot join a room nobody is hosting', async () => {
+  const phone = await client();
+  phone.send({ t: 'join', room: 'NONE', name: 'Maya' });
+  assert.deepEqual(await phone.next('error'), { t: 'error', code: 'no-room' });
+  await phone.close();
+});
+
+test('joins are announced to the host and balanced across regimes', async () => {
+  const host = await openRoom('BAL');
+  const regs = [];
+  for (const name of ['Ada', 'Lee', 'Noah', 'Iris']) {
+    const { joined } = await joinRoom('bal', name);
+    const seen = await host.next('player');
+    assert.equal(seen.id, joined.id);
+    assert.equal(seen.name, name);
+    regs.push(joined.reg);
+  }
+  assert.deepEqual(regs.sort(), [...REGIMES].sort());
+  const { joined } = await joinRoom('BAL', 'Theo', 'EM_FX');
+  assert.equal(joined.reg, 'EM_FX');
+  await host.close();
+});
+
+test('phones learn which scenario the host is running', async () => {
+  const host = await lecturer();
+  host.send({ t: 'host', room: 'SCN', regimes: ['North', 'South'], scenario: 'six-rounds' });
+  assert.equal((await host.next('hosted')).scenario, 'six-rounds');
+  const { joined } = await joinRoom('SCN', 'Ada');
+  assert.equal(joined.scenario, 'six-rounds');
+  assert.ok(['North', 'South'].includes(joined.reg));
+  await host.close();
+});
+
+test('a phone that leaves the lobby frees its seat', async () => {
+  const host = await openRoom('LEAVE');
+  const { phone, joined } = await joinRoom('LEAVE', 'Zara');
+  await host.next('player');
+  await phone.close();
+  assert.deepEqual(await host.next('left'), { t: 'left', id: joined.id });
+});
+
+test('a round: phase broadcast, pick submission and the resolved reveal', async () => {
+  const host = await openRoom('PLAY');
+  const a = await joinRoom('PLAY', 'Omar', 'FlexIT');
+  const b = await joinRoom('PLAY', 'Ife', 'Eurozone');
+
+  host.send({ t: 'phase', phase: 'deciding', round: 1, tleft: 30, tlen: 30 });
+  assert.deepEqual(await a.phone.next('phase'), { t: 'phase', phase: 'deciding', round: 1, tleft: 30, tlen: 30 });
+  await b.phone.next('phase');
+
+  a.phone.send({ t: 'pick', round: 1, pick: 0.4 });
+  assert.deepEqual(await a.phone.next('ack'), { t: 'ack', round: 1 });
+  assert.deepEqual(await host.next('pick'), { t: 'pick', id: a.joined.id, round: 1, pick: 0.4 });
+
+  /* one pick per round, and only for the round that is open */
+  a.phone.send({ t: 'pick', round: 1, pick: 0.9 });
+  assert.equal((await a.phone.next('error')).code, 'locked');
+  b.phone.send({ t: 'pick', round: 2, pick: 1 });
+  assert.equal((await b.phone.next('error')).code, 'closed');
+  b.phone.send({ t: 'pick', round: 1, pick: 7 });
+  assert.equal((await b.phone.next('error')).code, 'bad-pick');
+
+  /* the bell: each phone receives only its own resolved pick */
+  host.send({ t: 'phase', phase: 'standings', round: 1, picks: { [a.joined.id]: 0.4, [b.joined.id]: 0.5 } });
+  assert.deepEqual(await a.phone.next('phase'), { t: 'phase', phase: 'standings', round: 1, pick: 0.4 });
+  assert.deepEqual(await b.phone.next('phase'), { t: 'phase', phase: 'standings', round: 1, pick: 0.5 });
+
+  b.phone.send({ t: 'pick', round: 1, pick: 0.2 });
+  assert.equal((await b.phone.next('error')).code, 'closed');
+
+  /* a reveal whose picks are not an object still reaches the phones */
+  host.send({ t: 'phase', phase: 'final', round: 1, picks: 'all' });
+  assert.deepEqual(await a.phone.next('phase'), { t: 'phase', phase: 'final', round: 1 });
+  await host.close();
+});
+
+test('late joiners are turned away once the session starts', async () => {
+  const host = await openRoom('LATE');
+  await joinRoom('LATE', 'Kai');
+  host.send({ t: 'phase', phase: 'deciding', round: 1, tleft: 30, tlen: 30 });
+  const phone = await client();
+  phone.send({ t: 'join', room: 'LATE', name: 'Mei' });
+  assert.equal((await phone.next('error')).code, 'started');
+  await host.close();
+});
+
+test('seats are kept from the start of the session, before the clock runs', async () => {
+  const host = await openRoom('WAIT');
+  const first = await joinRoom('WAIT', 'Tom', 'FlexIT', 'pid-tom');
+  await host.next('player');
+  host.send({ t: 'phase', phase: 'deciding', round: 1, open: false });
+  assert.deepEqual(await first.phone.next('phase'), { t: 'phase', phase: 'deciding', round: 1, open: false });
+
+  /* no picks until the clock starts, and no newcomers */
+  first.phone.send({ t: 'pick', round: 1, pick: 0.5 });
+  assert.equal((await first.phone.next('error')).code, 'closed');
+  const late = await client();
+  late.send({ t: 'join', room: 'WAIT', name: 'Mei' });
+  assert.equal((await late.next('error')).code, 'started');
+
+  /* a phone that drops now keeps its seat and comes back to it */
+  await first.phone.close();
+  const again = await joinRoom('WAIT', 'Tom', undefined, 'pid-tom');
+  assert.equal(again.joined.id, first.joined.id);
+  assert.equal(again.joined.resumed, true);
+  assert.deepEqual(await host.next('resync'), { t: 'resync', id: first.joined.id });
+
+  host.send({ t: 'phase', phase: 'deciding', round: 1, tleft: 30, tlen: 30 });
+  await again.phone.next('phase');
+  again.phone.send({ t: 'pick', round: 1, pick: 0.5 });
+  assert.deepEqual(await again.phone.next('ack'), { t: 'ack', round: 1 });
+  await host.close();
+});
+
+test('a phone that drops mid-game rejoins its own seat and is resynced', async () => {
+  const host = await openRoom('BACK');
+  const first = await joinRoom('BACK', 'Rosa', 'HighInf', 'pid-rosa');
+  await host.next('player');
+  host.send({ t: 'phase', phase: 'deciding', round: 2, tleft: 30, tlen: 30 });
+  await first.phone.next('phase');
+  await first.phone.close();
+
+  const again = await joinRoom('BACK', 'Rosa', undefined, 'pid-rosa');
+  assert.equal(again.joined.id, first.joined.id);
+  assert.equal(again.joined.reg, 'HighInf');
+  assert.equal(again.joined.resumed, true);
+  assert.equal(again.joined.state.round, 2);
+  assert.deepEqual(await host.next('resync'), { t: 'resync', id: first.joined.id });
+
+  /* the host answers with the phone's trajectory, relayed to it alone */
+  const sync = { t: 'sync', id: first.joined.id, phase: 'deciding', round: 2, picks: [0.4], state: { b: 61 } };
+  host.send(sync);
+  assert.deepEqual(await again.phone.next('sync'), sync);
+
+  /* a pick made before the drop still holds */
+  again.phone.send({ t: 'pick', round: 2, pick: 0.5 });
+  assert.deepEqual(await host.next('pick'), { t: 'pick', id: first.joined.id, round: 2, pick: 0.5 });
+  await host.close();
+});
+
+test('a second socket with the same pid takes over the seat', async () => {
+  const host = await openRoom('TWIN');
+  const old = await joinRoom('TWIN', 'Eli', undefined, 'pid-eli');
+  await host.next('player');
+  const fresh = await joinRoom('TWIN', 'Eli', undefined, 'pid-eli');
+  assert.equal(fresh.joined.id, old.joined.id);
+  assert.equal((await old.phone.next('error')).code, 'replaced');
+  await host.next('resync');
+  /* the old socket closing must not free the seat the new one holds */
+  host.send({ t: 'phase', phase: 'deciding', round: 1, tleft: 30, tlen: 30 });
+  await fresh.phone.next('phase');
+  fresh.phone.send({ t: 'pick', round: 1, pick: 1 });
+  assert.deepEqual(await fresh.phone.next('ack'), { t: 'ack', round: 1 });
+  await host.close();
+});
+
+test('names stay unique within a room', async () => {
+  const host = await openRoom('NAMES');
+  const a = await joinRoom('NAMES', 'Sam');
+  const b = await joinRoom('NAMES', 'Sam');
+  const c = await joinRoom('NAMES', 'Sam');
+  assert.deepEqual([a, b, c].map(p => p.joined.name), ['Sam', 'Sam 2', 'Sam 3']);
+  const long = await joinRoom('NAMES', 'Bartholomewzzz');
+  const twin = await joinRoom('NAMES', 'Bartholomewzzz');
+  assert.equal(long.joined.name, 'Bartholomewzzz');
+  assert.equal(twin.joined.name, 'Bartholomewz 2');
+  await host.close();
+});
+
+test('the host can rename, move and remove players in the lobby', async () => {
+  const host = await openRoom('MOD');
+  const a = await joinRoom('MOD', 'Rude', 'FlexIT', 'pid-rude');
+  const b = await joinRoom('MOD', 'Jo', 'FlexIT');
+  await host.next('player');
+  await host.next('player');
+
+  host.send({ t: 'rename', id: a.joined.id, name: 'Jo' });
+  assert.deepEqual(await a.phone.next('renamed'), { t: 'renamed', name: 'Jo 2' });
+  assert.deepEqual(await host.next('player'), { t: 'player', id: a.joined.id, name: 'Jo 2', reg: 'FlexIT' });
+
+  host.send({ t: 'assign', id: b.joined.id, reg: 'HighInf' });
+  assert.deepEqual(await b.phone.next('assigned'), { t: 'assigned', reg: 'HighInf' });
+  assert.equal((await host.next('player')).reg, 'HighInf');
+  host.send({ t: 'assign', id: b.joined.id, reg: 'Atlantis' });
+  assert.equal((await host.next('error')).code, 'bad-regime');
+
+  host.send({ t: 'kick', id: a.joined.id });
+  assert.deepEqual(await a.phone.next('kicked'), { t: 'kicked' });
+  assert.deepEqual(await host.next('left'), { t: 'left', id: a.joined.id });
+  /* the same phone cannot walk straight back in */
+  const back = await client();
+  back.send({ t: 'join', room: 'MOD', name: 'Rude', pid: 'pid-rude' });
+  assert.equal((await back.next('error')).code, 'kicked');
+
+  /* players only ever see their own moderation; phones cannot moderate */
+  b.phone.send({ t: 'kick', id: b.joined.id });
+  assert.equal((await b.phone.next('error')).code, 'bad-message');
+  await host.close();
+});
+
+test('only the host may broadcast, and the phones hear when it leaves', async () => {
+  const host = await openRoom('ROLE');
+  const { phone } = await joinRoom('ROLE', 'Ana');
+  phone.send({ t: 'phase', phase: 'final', round: 4 });
+  assert.equal((await phone.next('error')).code, 'bad-message');
+  await host.close();
+  assert.deepEqual(await phone.next('phase'), { t: 'phase', phase: 'closed' });
+});
+
+test('a socket without the host token cannot take the room or its phones', async () => {
+  const host = await openRoom('AUTH');
+  const { phone } = await joinRoom('AUTH', 'Ana');
+  await host.next('player');
+
+  const impostor = await client();
+  impostor.send({ t: 'host', room: 'AUTH', regimes: REGIMES });
+  assert.deepEqual(await impostor.next('error'), { t: 'error', code: 'not-host' });
+  impostor.send({ t: 'host', room: 'AUTH', regimes: REGIMES, token: 'guess' });
+  assert.equal((await impostor.next('error')).code, 'not-host');
+  impostor.send({ t: 'present', room: 'AUTH' });
+  assert.equal((await impostor.next('error')).code, 'not-host');
+  impostor.send({ t: 'phase', phase: 'final', round: 4, token: 'guess' });
+  assert.equal((await impostor.next('error')).code, 'bad-message');
+
+  /* a seated host still needs the token on every broadcast */
+  const careless = await client();
+  careless.send({ t: 'host', room: 'AUTH2', regimes: REGIMES, token: TOKEN });
+  await careless.next('hosted');
+  careless.send({ t: 'phase', phase: 'deciding', round: 1 });
+  assert.equal((await careless.next('error')).code, 'not-host');
+  careless.send({ t: 'kick', id: 'p1' });
+  assert.equal((await careless.next('error')).code, 'not-host');
+  await careless.close();
+
+  /* the real host kept the room, and the token never reaches a phone */
+  host.send({ t: 'phase', phase: 'deciding', round: 1, tleft: 30, tlen: 30 });
+  assert.deepEqual(await phone.next('phase'), { t: 'phase', phase: 'deciding', round: 1, tleft: 30, tlen: 30 });
+  await impostor.close();
+  await host.close();
+});
+
+test('the debrief leads the phones and tallies its polls', async () => {
+  const host = await openRoom('DEB');
+  const a = await joinRoom('DEB', 'Ada', 'FlexIT', 'pid-ada');
+  const b = await joinRoom('DEB', 'Lee', 'EM_FX');
+  host.send({ t: 'phase', phase: 'debrief', round: 4 });
+  await a.phone.next('phase');
+  await b.phone.next('phase');
+  const deck = await lecturer();
+  deck.send({ t: 'present', room: 'deb' });
+  assert.deepEqual(await deck.next('presenting'), { t: 'presenting', room: 'DEB', players: 2 });
+
+  deck.send({ t: 'slide', step: 2, of: 9, kind: 'fork', reg: 'EM_FX', poll: 'fork-EM_FX' });
+  const seen = await b.phone.next('slide');
+  assert.deepEqual(seen, { t: 'slide', step: 2, of: 9, kind: 'fork', reg: 'EM_FX', poll: 'fork-EM_FX' });
+  await a.phone.next('slide');
+  assert.deepEqual((await deck.next('votes')).counts, [0, 0]);
+
+  a.phone.send({ t: 'vote', poll: 'fork-EM_FX', choice: 1 });
+  assert.deepEqual(await a.phone.next('voted'), { t: 'voted', poll: 'fork-EM_FX', choice: 1 });
+  assert.deepEqual((await deck.next('votes')).counts, [0, 1]);
+  /* one vote per phone: a second one changes it */
+  a.phone.send({ t: 'vote', poll: 'fork-EM_FX', choice: 0 });
+  assert.deepEqual((await deck.next('votes')).counts, [1, 0]);
+  b.phone.send({ t: 'vote', poll: 'fork-FlexIT', choice: 0 });
+  assert.equal((await b.phone.next('error')).code, 'no-poll');
+  b.phone.send({ t: 'vote', poll: 'fork-EM_FX', choice: 2 });
+  assert.equal((await b.phone.next('error')).code, 'bad-vote');
+
+  /* another slide, then back: the tally was kept */
+  deck.send({ t: 'slide', step: 3, of: 9, kind: 'summary' });
+  assert.deepEqual(await b.phone.next('slide'), { t: 'slide', step: 3, of: 9, kind: 'summary' });
+  await a.phone.next('slide');
+  deck.send({ t: 'slide', step: 2, of: 9, kind: 'fork', reg: 'EM_FX', poll: 'fork-EM_FX' });
+  assert.deepEqual((await deck.next('votes')).counts, [1, 0]);
+  await b.phone.next('slide');
+  assert.equal((await a.phone.next('slide')).vote, 0);
+
+  /* a phone back from a dropout lands on the slide, with its vote */
+  await a.phone.close();
+  const back = await joinRoom('DEB', 'Ada', 'FlexIT', 'pid-ada');
+  assert.deepEqual(await back.phone.next('slide'), { ...seen, vote: 0 });
+
+  /* only the presenter drives slides; when it goes, the phones are let go */
+  b.phone.send({ t: 'slide', step: 3 });
+  assert.equal((await b.phone.next('error')).code, 'bad-message');
+  await deck.close();
+  assert.deepEqual(await b.phone.next('slide'), { t: 'slide', off: true });
+  await host.close();
+});
+
+test('a room outlives its host only for the grace period', async () => {
+  const brief = createRoomServer({ port: 0, host: '127.0.0.1', token: TOKEN, hostGrace: 300 });
+  const { port } = await brief.listen();
+  const at = `ws://127.0.0.1:${port}${SOCKET_PATH}`;
+  const wait = ms => new Promise(res => setTimeout(res, ms));
+  const hostAt = async () => {
+    const host = await lecturer(at);
+    host.send({ t: 'host', room: 'GONE', regimes: REGIMES });
+    return { host, hosted: await host.next('hosted') };
+  };
+
+  const first = await hostAt();
+  const phone = await client(at);
+  phone.send({ t: 'join', room: 'GONE', name: 'Ola' });
+  await phone.next('joined');
+  await first.host.close();
+  assert.deepEqual(await phone.next('phase'), { t: 'phase', phase: 'closed' });
+
+  /* a projector reloaded within the grace gets its room back, roster and all */
+  const again = await hostAt();
+  assert.equal(again.hosted.players.length, 1);
+  await wait(400);
+  assert.ok(brief.rooms.has('GONE'));
+
+  /* left alone past it, the room is gone */
+  await again.host.close();
+  await wait(400);
+  assert.ok(!brief.rooms.has('GONE'));
+  const late = await client(at);
+  late.send({ t: 'join', room: 'GONE', name: 'Ola' });
+  assert.equal((await late.next('error')).code, 'no-room');
+  await late.close();
+  await phone.close();
+  await brief.close();
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  encodeScenario, decodeScenario, scenariosToQuery, scenariosFromQuery,
+  DEFAULT_SCENARIO, EXAMPLE_SCENARIOS, MAX_PINNED,
+} from '../src/scenarioLink.js';
+import { scenarioModel, projectDebt } from '../src/debtDynamics.js';
+
+const ADVANCED = { c: 0.0056, bstar: 112, credibility: 70, fxShare: 30, depreciation: 2, devaluation: 20 };
+
+test('a scenario survives the round trip through its string', () => {
+  EXAMPLE_SCENARIOS.forEach(s => assert.deepEqual(decodeScenario(encodeScenario(s)), s));
+  const full = { ...DEFAULT_SCENARIO, name: 'Sudden stop', interestRate: '6.5', maturity: { years: 14, effectiveRate: 3 }, advanced: ADVANCED };
+  assert.deepEqual(decodeScenario(encodeScenario(full)), { ...full, interestRate: 6.5 });
+  assert.equal(encodeScenario(DEFAULT_SCENARIO), 'UK baseline~100,4,2,2');
+});
+
+test('names are cleaned of the separator', () => {
+  const s = decodeScenario(encodeScenario({ ...DEFAULT_SCENARIO, name: 'a~b' }));
+  assert.equal(s.name, 'a-b');
+  assert.equal(s.initialDebt, 100);
+});
+
+test('strings that are not scenarios decode to null', () => {
+  ['', 'UK', 'UK~100,4,2', 'UK~100,4,x,2', 'UK~100,4,2,2~r:1;nope', 'UK~100,4,2,2~x:1,2,3', 'UK~100,4,2,2~m:0.5,4']
+    .forEach(text => assert.equal(decodeScenario(text), null, text));
+  // a short schedule holds its last offset; an unknown section is ignored
+  const s = decodeScenario('UK~100,4,2,2~d:-1;-2~z:whatever');
+  assert.equal(s.offsets.primaryDeficit.length, 20);
+  assert.equal(s.offsets.primaryDeficit[19], -2);
+});
+
+test('the query carries the settings and every pinned scenario', () => {
+  const current = { ...DEFAULT_SCENARIO, interestRate: 6 };
+  const query = scenariosToQuery(current, EXAMPLE_SCENARIOS);
+  assert.equal(query.getAll('p').length, 3);
+  const back = scenariosFromQuery(`?${query}`);
+  assert.deepEqual(back.pinned, EXAMPLE_SCENARIOS);
+  assert.equal(back.current.interestRate, 6);
+  assert.equal(back.current.name, '');
+  // the defaults alone need no query, and no query means no settings
+  assert.equal(String(scenariosToQuery(DEFAULT_SCENARIO)), '');
+  assert.deepEqual(scenariosFromQuery(''), { current: null, pinned: [] });
+});
+
+test('a bad pin is dropped and the pins are capped', () => {
+  const params = new URLSearchParams();
+  for (let i = 0; i < MAX_PINNED + 2; i++) params.append('p', encodeScenario({ ...DEFAULT_SCENARIO, name: `S${i}` }));
+  params.append('p', 'broken');
+  const { pinned } = scenariosFromQuery(params.toString());
+  assert.equal(pinned.length, MAX_PINNED);
+  assert.ok(pinned.every(s => s.name.startsWith('S')));
+});
+
+test('the lecture example ranks the scenarios as it should', () => {
+  const end = s => projectDebt(scenarioModel(s, 0.4))[20].debt;
+  const [baseline, higher, austerity] = EXAMPLE_SCENARIOS.map(end);
+  assert.ok(higher > baseline && baseline > austerity);
+  assert.ok(projectDebt(scenarioModel({ ...DEFAULT_SCENARIO, advanced: ADVANCED }, 0.4))[1].fx > 0);
+});
+
+test('a maturity profile without a starting rate starts the stock at the interest rate', () => {
+  const model = scenarioModel({ ...DEFAULT_SCENARIO, maturity: { years: 10 } }, 0.4);
+  assert.equal(model.effectiveRate, Number(DEFAULT_SCENARIO.interestRate));
+  assert.ok(projectDebt(model).every(p => Number.isFinite(p.debt)));
+  assert.deepEqual(model, scenarioModel({ ...DEFAULT_SCENARIO, maturity: { years: 10, effectiveRate: DEFAULT_SCENARIO.interestRate } }, 0.4));
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LOG_VERSION, createLog, recordRound, serializeLog, parseLog, playersAt, auditLog,
+} from '../public/chancellor/session.js';
+import { loadDefaultEngine } from './helpers.js';
+
+const engine = await loadDefaultEngine();
+const { REG, deltaFor, stepState, freshState } = engine;
+
+const PICKS = { a: [0.4, 0, 0.05, 0], b: [1, 1, 0, 1] };
+
+/* play a two-player class the way the host does, recording every round */
+function recordedClass() {
+  const players = [
+    { id: 'a', name: 'Maya', reg: 'FlexIT', state: freshState('FlexIT'), picks: [], times: [] },
+    { id: 'b', name: 'Sam', reg: 'EM_FX', state: freshState('EM_FX'), picks: [], times: [] },
+  ];
+  const log = createLog(engine, 'FISC', players, 1000);
+  for (let r = 1; r <= 4; r++) {
+    players.forEach(p => {
+      p.picks[r - 1] = PICKS[p.id][r - 1];
+      if (p.id === 'a') p.times[r - 1] = 1000 + r;    // b always times out
+      stepState(p.state, p.reg, r, deltaFor(p.reg, r, p.picks[r - 1]));
+    });
+    recordRound(log, r, players, 1000 + r, 2000 + r);
+  }
+  return { log, players };
+}
+
+test('a log records the room, regimes, picks with timestamps and states', () => {
+  const { log, players } = recordedClass();
+  assert.equal(log.version, LOG_VERSION);
+  assert.equal(log.room, 'FISC');
+  assert.equal(log.scenario, 'default');
+  assert.deepEqual(Object.keys(log.regimes), ['FlexIT', 'EM_FX']);
+  assert.equal(log.regimes.EM_FX.bcrisis, REG.EM_FX.bcrisis);
+  assert.equal(log.rounds.length, 4);
+  assert.deepEqual(log.rounds[2].picks.a, { pick: 0.05, at: 1003 });
+  assert.deepEqual(log.rounds[2].picks.b, { pick: 0, at: null });
+  assert.equal(log.rounds[3].states.b.b, players[1].state.b);
+  assert.equal(log.rounds[3].states.b.crisis, players[1].state.crisis);
+});
+
+test('export and re-import round-trip', () => {
+  const { log } = recordedClass();
+  assert.deepEqual(parseLog(serializeLog(log)), log);
+});
+
+test('malformed or foreign logs are rejected with a reason', () => {
+  const { log } = recordedClass();
+  assert.throws(() => parseLog('{'), /not a JSON file/);
+  /* logs from before scenario files were all played on the default game */
+  const { scenario, ...v1 } = log;
+  assert.equal(parseLog(JSON.stringify({ ...v1, version: 1 })).scenario, scenario);
+  assert.throws(() => parseLog(JSON.stringify({ ...log, version: 99 })), /unsupported log version 99/);
+  const gap = structuredClone(log);
+  gap.rounds[1] = null;
+  assert.throws(() => parseLog(JSON.stringify(gap)), /round 2 is missing/);
+  const orphan = structuredClone(log);
+  delete orphan.rounds[0].states.a;
+  assert.throws(() => parseLog(JSON.stringify(orphan)), /round 1 has no entry for Maya/);
+});
+
+test('replay rebuilds the roster as it stood after each round', () => {
+  const { log, players } = recordedClass();
+  const after2 = playersAt(log, 2);
+  assert.deepEqual(after2.map(p => p.picks), [PICKS.a.slice(0, 2), PICKS.b.slice(0, 2)]);
+  assert.deepEqual(after2[0].state.hist, players[0].state.hist.slice(0, 3));
+  const end = playersAt(log, 4);
+  end.forEach((p, i) => {
+    assert.equal(p.state.b, players[i].state.b);
+    assert.deepEqual(p.state.hist, players[i].state.hist);
+  });
+});
+
+test('the audit re-runs the engine and flags states it cannot reproduce', () => {
+  const { log } = recordedClass();
+  assert.deepEqual(auditLog(log, engine), []);
+  log.rounds[3].states.a.b += 5;
+  assert.deepEqual(auditLog(log, engine).map(d => [d.id, d.round]), [['a', 4]]);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from '../public/chancellor/engine.js';
+import { validateScenario, shockMag } from '../public/chancellor/scenario.js';
+import { mulberry32, drawShocks } from '../public/chancellor/random.js';
+import { monteCarlo } from '../public/chancellor/montecarlo.js';
+import { createLog } from '../public/chancellor/session.js';
+import { loadDefaultScenario } from './helpers.js';
+
+const scenario = await loadDefaultScenario();
+const PICKS = [0.15, 1, 0.6, 1];
+
+function play(E, k, picks) {
+  const s = E.freshState(k);
+  picks.forEach((pick, i) => E.stepState(s, k, i + 1, E.deltaFor(k, i + 1, pick)));
+  return s;
+}
+
+test('the generator is reproducible from its seed', () => {
+  const a = mulberry32(42), b = mulberry32(42), c = mulberry32(43);
+  const xs = Array.from({ length: 5 }, a);
+  assert.deepEqual(Array.from({ length: 5 }, b), xs);
+  assert.notDeepEqual(Array.from({ length: 5 }, c), xs);
+  xs.forEach(x => assert.ok(x >= 0 && x < 1));
+});
+
+test('every device in a room draws the same game from the room\'s seed', () => {
+  const host = createEngine(scenario, { seed: 2024 });
+  const phone = createEngine(structuredClone(scenario), { seed: 2024 });
+  assert.deepEqual(phone.draws, host.draws);
+  for (const k of host.REG_KEYS) assert.deepEqual(play(phone, k, PICKS).hist, play(host, k, PICKS).hist);
+  assert.notDeepEqual(createEngine(scenario, { seed: 2025 }).WORLD, host.WORLD);
+});
+
+test('without a seed the scripted shocks play, and a draw rescales them', () => {
+  const scripted = createEngine(scenario);
+  assert.equal(scripted.seed, null);
+  assert.equal(scripted.draws, null);
+  assert.equal(shockMag(scripted, 1), scenario.rounds[0].shock.magVal);
+  const drawn = createEngine(scenario, { seed: 7 });
+  const { scale } = drawShocks(scenario, 7);
+  assert.ok(Math.abs(drawn.WORLD[0].g - scenario.rounds[0].shock.effect.g * scale[0]) < 1e-12);
+  assert.equal(shockMag(drawn, 1), `−${Math.abs(drawn.WORLD[0].g).toFixed(1)}%`);
+  /* noise is per regime: the same picks end differently in two regimes' draws */
+  assert.notEqual(drawn.draws.noise.FlexIT[0], drawn.draws.noise.EM_FX[0]);
+});
+
+test('a log remembers the seed so replays rebuild the same draws', () => {
+  const E = createEngine(scenario, { seed: 99 });
+  assert.equal(createLog(E, 'FISC', [], 0).seed, 99);
+  assert.equal(createLog(createEngine(scenario), 'FISC', [], 0).seed, null);
+});
+
+test('the prudent call lowers the chance of crisis without ruling it out', () => {
+  const f = scenario.debrief.features.EM_FX;
+  const picks = o => f.base.map((p, i) => (i + 1 === f.round ? o : p));
+  const A = monteCarlo(scenario, 'EM_FX', picks(f.A.override), { runs: 200 });
+  const B = monteCarlo(scenario, 'EM_FX', picks(f.B.override), { runs: 200 });
+  assert.ok(A.pCrisis < B.pCrisis);
+  assert.ok(A.pCrisis > 0);
+  assert.equal(A.bands.length, scenario.rounds.length + 1);
+  A.bands.forEach(q => q.slice(1).forEach((v, j) => assert.ok(v >= q[j])));
+  assert.deepEqual(monteCarlo(scenario, 'EM_FX', picks(0), { runs: 50, seed: 3 }),
+    monteCarlo(scenario, 'EM_FX', picks(0), { runs: 50, seed: 3 }));
+});
+
+test('stochastic blocks are validated', () => {
+  const bad = structuredClone(scenario);
+  bad.stochastic = { shocks: { dist: 'cauchy' }, noise: { on: 'cred', dist: 'normal', sd: -1 } };
+  assert.throws(() => validateScenario(bad), e => {
+    assert.match(e.message, /stochastic\.shocks\.dist must be "normal" or "uniform"/);
+    assert.match(e.message, /stochastic\.noise: normal needs a non-negative sd/);
+    assert.match(e.message, /stochastic\.noise\.on must be/);
+    return true;
+  });
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLog, recordRound } from '../public/chancellor/session.js';
+import { histogram, sweetSpotPicks, sweetSpotPath, summariseClass } from '../public/chancellor/summary.js';
+import { loadDefaultEngine } from './helpers.js';
+
+const engine = await loadDefaultEngine();
+const { REG, OPT_SLIDER, deltaFor, stepState, freshState } = engine;
+
+function classOf(picksById, reg = 'EM_FX') {
+  const players = Object.keys(picksById).map(id => ({ id, name: id, reg, state: freshState(reg), picks: [] }));
+  const log = createLog(engine, 'FISC', players, 0);
+  for (let r = 1; r <= 4; r++) {
+    players.forEach(p => {
+      p.picks[r - 1] = picksById[p.id][r - 1];
+      stepState(p.state, reg, r, deltaFor(reg, r, p.picks[r - 1]));
+    });
+    recordRound(log, r, players, 0, 0);
+  }
+  return summariseClass(log, engine);
+}
+
+test('histogram buckets the dial, with 1 in the top bin', () => {
+  assert.deepEqual(histogram([0, 0.05, 0.5, 0.99, 1], 4), [2, 0, 1, 2]);
+});
+
+test('the sweet spot plays OPT_SLIDER on the dials and the prudent call otherwise', () => {
+  assert.deepEqual(sweetSpotPicks(engine, 'EM_FX'), [OPT_SLIDER.EM_FX[0], 0, OPT_SLIDER.EM_FX[1], 0]);
+  assert.equal(sweetSpotPath(engine, 'EM_FX').length, 5);
+});
+
+test('a class summary reports spreads, the average path and crisis crossings', () => {
+  const C = classOf({ safe: sweetSpotPicks(engine, 'EM_FX'), reckless: [1, 1, 0, 1], mid: [0.5, 0, 0.5, 1] });
+  const em = C.regimes.EM_FX;
+  assert.equal(C.rounds, 4);
+  assert.deepEqual(em.rounds[1].split, [2, 1]);
+  assert.equal(em.rounds[2].opt, OPT_SLIDER.EM_FX[1]);
+  assert.ok(Math.abs(em.rounds[0].mean - (0.15 + 1 + 0.5) / 3) < 1e-12);
+  assert.deepEqual(em.opt, em.players.find(p => p.id === 'safe').hist);
+  em.avg.forEach((b, r) => assert.ok(Math.abs(b - em.players.reduce((s, p) => s + p.hist[r], 0) / 3) < 1e-9));
+
+  const reckless = em.players.find(p => p.id === 'reckless');
+  assert.ok(reckless.final >= REG.EM_FX.bcrisis);
+  assert.equal(reckless.crossRound, reckless.hist.findIndex(b => b >= REG.EM_FX.bcrisis));
+  assert.equal(em.crossed[0].id, 'reckless');
+  assert.equal(em.players.find(p => p.id === 'safe').crossRound, -1);
+});
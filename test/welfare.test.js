@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from '../public/chancellor/engine.js';
+import { validateScenario } from '../public/chancellor/scenario.js';
+import { WELFARE, PARTS, welfareConfig, scoreCard, welfareScore, rankPlayers } from '../public/chancellor/welfare.js';
+import { loadDefaultScenario } from './helpers.js';
+
+const scenario = await loadDefaultScenario();
+const E = createEngine(scenario);
+
+test('a report card replays the picks onto the same state the game reached', () => {
+  const picks = [0.5, 0, 0.5, 0];
+  const s = E.freshState('FlexIT');
+  picks.forEach((pick, i) => E.stepState(s, 'FlexIT', i + 1, E.deltaFor('FlexIT', i + 1, pick)));
+  const card = scoreCard(E, 'FlexIT', picks);
+  assert.deepEqual(card.state, s);
+  assert.equal(card.rounds.length, 4);
+  card.rounds.forEach(r => assert.ok(Math.abs(r.total - PARTS.reduce((a, p) => a + r[p], 0)) < 1e-9));
+  assert.ok(Math.abs(card.total - card.rounds.reduce((a, r) => a + r.total, 0)) < 1e-9);
+  /* debt is a stock: its column sums to the whole game's rise, weighted */
+  const debt = card.rounds.reduce((a, r) => a + r.debt, 0);
+  assert.ok(Math.abs(debt + scenario.welfare.weights.debt * (s.b - scenario.regimes.FlexIT.b)) < 1e-9);
+  assert.equal(scoreCard(E, 'FlexIT', picks, 2).rounds.length, 2);
+});
+
+test('crossing the line costs the crisis penalty once', () => {
+  const card = scoreCard(E, 'EM_FX', [1, 1, 1, 1]);
+  assert.ok(card.state.crisis);
+  assert.deepEqual(card.rounds.filter(r => r.crisis).map(r => r.crisis), [-scenario.welfare.crisis]);
+});
+
+test('welfare can overturn the debt ranking', () => {
+  /* HighInf: pinning the dial low wins on debt, at the cost of growth */
+  const players = [
+    { id: 'lean', picks: [0, 0, 0.75, 0] },
+    { id: 'balanced', picks: [0.5, 0, 0.5, 0] },
+  ].map(p => ({ ...p, state: scoreCard(E, 'HighInf', p.picks).state }));
+  const score = p => welfareScore(E, 'HighInf', p.picks);
+  assert.deepEqual(rankPlayers(players, 'debt', score).map(p => p.id), ['lean', 'balanced']);
+  assert.deepEqual(rankPlayers(players, 'welfare', score).map(p => p.id), ['balanced', 'lean']);
+});
+
+test('the debt ranking keeps survivors above everyone in crisis', () => {
+  const players = [
+    { id: 'a', state: { b: 90, crisis: true } },
+    { id: 'b', state: { b: 140, crisis: false } },
+    { id: 'c', state: { b: 120, crisis: false } },
+  ];
+  assert.deepEqual(rankPlayers(players, 'debt').map(p => p.id), ['c', 'b', 'a']);
+});
+
+test('scenarios may tune the weights, and bad ones are refused', () => {
+  const { welfare: _w, ...bare } = scenario;
+  assert.deepEqual(welfareConfig(bare), WELFARE);
+  assert.equal(welfareConfig({ welfare: { weights: { g: 1 } } }).weights.debt, WELFARE.weights.debt);
+  assert.throws(() => validateScenario({ ...scenario, welfare: { weights: { jobs: 1 } } }), /welfare\.weights/);
+  assert.throws(() => validateScenario({ ...scenario, welfare: { crisis: -5 } }), /welfare\.crisis/);
+});